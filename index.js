@@ -1,3 +1,11 @@
 const AmoraDB = require('./src/AmoraDB');
+const { Schema } = require('./src/Schema');
+const { ValidationError, DuplicateKeyError, IntegrityError, LockError, MigrationError } = require('./src/errors');
 
-module.exports = AmoraDB;
\ No newline at end of file
+module.exports = AmoraDB;
+module.exports.Schema = Schema;
+module.exports.ValidationError = ValidationError;
+module.exports.DuplicateKeyError = DuplicateKeyError;
+module.exports.IntegrityError = IntegrityError;
+module.exports.LockError = LockError;
+module.exports.MigrationError = MigrationError;
\ No newline at end of file
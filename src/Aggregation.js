@@ -0,0 +1,248 @@
+const { getPath, setPath, unsetPath } = require('./utils/path');
+const { compileQuery, deepEqual } = require('./utils/query');
+const { compareValues, createComparator } = require('./utils/compare');
+const { evaluate } = require('./utils/expression');
+
+const ACCUMULATORS = {
+  $sum: values => values.reduce((sum, value) => (typeof value === 'number' ? sum + value : sum), 0),
+
+  $avg: values => {
+    const numbers = values.filter(value => typeof value === 'number');
+    return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+  },
+
+  $min: values => extreme(values, -1),
+  $max: values => extreme(values, 1),
+  $push: values => values.filter(value => value !== undefined),
+
+  $addToSet: values => {
+    const set = [];
+    for (const value of values) {
+      if (value !== undefined && !set.some(existing => deepEqual(existing, value))) {
+        set.push(value);
+      }
+    }
+    return set;
+  },
+
+  $first: values => (values.length > 0 ? values[0] : null),
+  $last: values => (values.length > 0 ? values[values.length - 1] : null),
+  $count: values => values.length
+};
+
+// Missing and null values are ignored, as in the other accumulators
+function extreme(values, direction) {
+  let result = null;
+  for (const value of values) {
+    if (value === undefined || value === null) continue;
+    if (result === null || compareValues(value, result) * direction > 0) {
+      result = value;
+    }
+  }
+  return result;
+}
+
+function accumulate(operator, expression, records) {
+  const accumulator = ACCUMULATORS[operator];
+  if (!accumulator) {
+    throw new Error(`Unknown accumulator: ${operator}`);
+  }
+  return accumulator(records.map(record => evaluate(expression, record)));
+}
+
+class Aggregation {
+  constructor(table, stages) {
+    if (!Array.isArray(stages)) {
+      throw new Error('Aggregation pipeline must be an array of stages');
+    }
+
+    this.table = table;
+    this.stages = stages.map(stage => {
+      const keys = Object.keys(stage || {});
+      if (keys.length !== 1) {
+        throw new Error('Each aggregation stage must have exactly one operator');
+      }
+      if (!keys[0].startsWith('$') || !this[keys[0]]) {
+        throw new Error(`Unknown aggregation stage: ${keys[0]}`);
+      }
+      return { name: keys[0], spec: stage[keys[0]] };
+    });
+  }
+
+  // Leading $match stages become part of the query so they can use indexes
+  async execute(query = this.table.all()) {
+    let start = 0;
+    while (start < this.stages.length && this.stages[start].name === '$match') {
+      query.and(this.stages[start].spec);
+      start++;
+    }
+
+    let records = await query.execute();
+    for (const { name, spec } of this.stages.slice(start)) {
+      records = await this[name](records, spec);
+    }
+    return records;
+  }
+
+  $match(records, spec) {
+    return records.filter(compileQuery(spec));
+  }
+
+  $group(records, spec) {
+    if (!('_id' in spec)) {
+      throw new Error('$group requires an _id expression');
+    }
+
+    const groups = new Map();
+    for (const record of records) {
+      const id = evaluate(spec._id, record);
+      const key = JSON.stringify(id === undefined ? null : id);
+      if (!groups.has(key)) {
+        groups.set(key, { id: id === undefined ? null : id, records: [] });
+      }
+      groups.get(key).records.push(record);
+    }
+
+    const accumulators = Object.entries(spec).filter(([field]) => field !== '_id');
+    return Array.from(groups.values()).map(group => {
+      const result = { _id: group.id };
+      for (const [field, accumulator] of accumulators) {
+        const [operator] = Object.keys(accumulator);
+        result[field] = accumulate(operator, accumulator[operator], group.records);
+      }
+      return result;
+    });
+  }
+
+  $project(records, spec) {
+    const entries = Object.entries(spec);
+    const excluded = entries.filter(([, value]) => value === 0 || value === false).map(([field]) => field);
+    const isExclusion = excluded.length === entries.length;
+
+    if (!isExclusion && excluded.some(field => field !== '_id')) {
+      throw new Error('$project cannot mix inclusion and exclusion');
+    }
+
+    if (isExclusion) {
+      return records.map(record => {
+        const result = clone(record);
+        for (const field of excluded) {
+          unsetPath(result, field);
+        }
+        return result;
+      });
+    }
+
+    return records.map(record => {
+      const result = {};
+      if (!excluded.includes('_id') && !('_id' in spec)) {
+        result._id = record._id;
+      }
+      for (const [field, value] of entries) {
+        if (value === 0 || value === false) continue;
+        const projected = value === 1 || value === true ? getPath(record, field) : evaluate(value, record);
+        if (projected !== undefined) {
+          setPath(result, field, projected);
+        }
+      }
+      return result;
+    });
+  }
+
+  $addFields(records, spec) {
+    return records.map(record => {
+      const result = clone(record);
+      for (const [field, expression] of Object.entries(spec)) {
+        setPath(result, field, evaluate(expression, record));
+      }
+      return result;
+    });
+  }
+
+  $unwind(records, spec) {
+    const options = typeof spec === 'string' ? { path: spec } : spec;
+    if (typeof options.path !== 'string' || !options.path.startsWith('$')) {
+      throw new Error('$unwind requires a field path starting with $');
+    }
+
+    const field = options.path.slice(1);
+    const results = [];
+
+    for (const record of records) {
+      const value = getPath(record, field);
+
+      if (Array.isArray(value) && value.length > 0) {
+        value.forEach((item, index) => {
+          const result = clone(record);
+          setPath(result, field, item);
+          if (options.includeArrayIndex) {
+            setPath(result, options.includeArrayIndex, index);
+          }
+          results.push(result);
+        });
+      } else if (value !== undefined && value !== null && !Array.isArray(value)) {
+        results.push(record);
+      } else if (options.preserveNullAndEmptyArrays) {
+        const result = clone(record);
+        if (Array.isArray(value)) unsetPath(result, field);
+        results.push(result);
+      }
+    }
+
+    return results;
+  }
+
+  async $lookup(records, spec) {
+    const { from, localField, foreignField, as } = spec;
+    if (!from || !localField || !foreignField || !as) {
+      throw new Error('$lookup requires from, localField, foreignField and as');
+    }
+
+    const db = this.table.db;
+    const foreign = db.tables.has(from) ? await db.table(from).all().execute() : [];
+
+    const byValue = new Map();
+    for (const record of foreign) {
+      const value = getPath(record, foreignField);
+      const key = JSON.stringify(value === undefined ? null : value);
+      if (!byValue.has(key)) byValue.set(key, []);
+      byValue.get(key).push(record);
+    }
+
+    return records.map(record => {
+      const value = getPath(record, localField);
+      const values = Array.isArray(value) ? value : [value === undefined ? null : value];
+      const matches = [];
+      for (const item of values) {
+        matches.push(...(byValue.get(JSON.stringify(item)) || []));
+      }
+
+      const result = as.includes('.') ? clone(record) : { ...record };
+      setPath(result, as, matches);
+      return result;
+    });
+  }
+
+  $sort(records, spec) {
+    const keys = Object.entries(spec).map(([field, direction]) => ({ field, direction: direction < 0 ? -1 : 1 }));
+    return [...records].sort(createComparator(keys));
+  }
+
+  $skip(records, count) {
+    return records.slice(count);
+  }
+
+  $limit(records, count) {
+    return records.slice(0, count);
+  }
+
+  $count(records, field) {
+    return [{ [field]: records.length }];
+  }
+}
+
+function clone(record) {
+  return JSON.parse(JSON.stringify(record));
+}
+
+module.exports = { Aggregation, accumulate };
\ No newline at end of file
@@ -3,8 +3,34 @@ const { createReadStream } = require('fs');
 const { createInterface } = require('readline');
 const path = require('path');
 const { Table } = require('./Table');
+const { IndexManager } = require('./IndexManager');
+const { Transaction, TransactionJournal } = require('./Transaction');
+const { Migration, sortMigrations } = require('./Migration');
+const { MigrationError } = require('./errors');
+const { Encryption } = require('./Encryption');
+const { FileLock, LOCK_MODES, LOCK_DIR } = require('./FileLock');
+const { writeFileAtomic } = require('./utils/fs');
+const { COMPRESSION_MODES } = require('./utils/compression');
+const {
+  linkOrClone,
+  cloneFile,
+  readManifest,
+  listBackups,
+  writeBackup,
+  restoreBackup,
+  pruneBackups
+} = require('./utils/backup');
 const { EventEmitter } = require('events');
 
+const DURABILITY_MODES = ['none', 'batched', 'sync'];
+
+// Files that are only ever replaced by a rename, never modified in place,
+// so a snapshot can hard-link them
+const REPLACED_FILE = /\.(json|idx|locator)$/;
+const LOG_FILE = /(\.wal|^_transaction\.json)(\.[0-9a-f]+)?$/;
+
+const DUMP_FILE = '_dump.json';
+
 class AmoraDB extends EventEmitter {
   constructor(dbName, options = {}) {
     super();
@@ -15,16 +41,45 @@ class AmoraDB extends EventEmitter {
       autoSave: options.autoSave !== false,
       cacheSize: options.cacheSize || 1000,
       indexAutoCreate: options.indexAutoCreate !== false,
-      compression: options.compression || false,
-      ...options
+      changeLogSize: 1000,
+      slowQueryThreshold: null,
+      lockTimeout: 10000,
+      staleLockTimeout: 30000,
+      refreshInterval: 1000,
+      ttlInterval: 60000,
+      ...options,
+      lock: options.lock || 'exclusive',
+      durability: options.durability || 'batched',
+      walSyncInterval: options.walSyncInterval || 100,
+      compression: options.compression || false
     };
+    if (!DURABILITY_MODES.includes(this.options.durability)) {
+      throw new Error(`Invalid durability mode: ${this.options.durability}. Expected one of ${DURABILITY_MODES.join(', ')}`);
+    }
+    if (this.options.compression && !COMPRESSION_MODES.includes(this.options.compression)) {
+      throw new Error(`Invalid compression: ${this.options.compression}. Expected false or one of ${COMPRESSION_MODES.join(', ')}`);
+    }
+    if (!LOCK_MODES.includes(this.options.lock)) {
+      throw new Error(`Invalid lock mode: ${this.options.lock}. Expected one of ${LOCK_MODES.join(', ')}`);
+    }
+    this.encryption = new Encryption(options.encryption);
+    this.lock = new FileLock(this.dbPath, {
+      mode: this.options.lock,
+      timeout: this.options.lockTimeout,
+      staleTimeout: this.options.staleLockTimeout
+    });
+    this.readonly = this.lock.readonly;
+    this.refreshTimer = null;
     this.metadata = {
       version: '1.1.0',
       created: null,
       modified: null,
+      schemaVersion: 0,
+      migrations: [],
       tables: {}
     };
     this.initialized = false;
+    this.transactionQueue = Promise.resolve();
   }
 
   async init() {
@@ -32,12 +87,27 @@ class AmoraDB extends EventEmitter {
     
     try {
       await this.ensureDataDirectory();
+      await this.lock.acquire();
+      await this.encryption.init();
       await this.loadMetadata();
-      await this.migrateFromJSON();
+      if (!this.readonly) {
+        await this.migrateFromJSON();
+      }
       await this.loadTables();
       this.initialized = true;
+      await this.recoverTransactions();
+      if (this.options.migrations && !this.readonly) {
+        await this.migrate(this.options.migrations);
+      }
+      
+      if (this.lock.shared) {
+        this.refreshTimer = setInterval(() => this.refresh().catch(() => {}), this.options.refreshInterval);
+        this.refreshTimer.unref();
+      }
       this.emit('ready', this);
     } catch (error) {
+      this.initialized = false;
+      await this.lock.release();
       this.emit('error', error);
       throw error;
     }
@@ -50,92 +120,150 @@ class AmoraDB extends EventEmitter {
   }
 
   async loadMetadata() {
+    const metadata = await this.readMetadata();
+    if (metadata) {
+      this.metadata = metadata;
+    } else {
+      this.metadata.created = new Date().toISOString();
+      await this.saveMetadata();
+    }
+  }
+
+  async readMetadata() {
     const metaPath = path.join(this.dbPath, '_metadata.json');
     try {
       const data = await fs.readFile(metaPath, 'utf-8');
-      this.metadata = JSON.parse(data);
+      return JSON.parse(this.encryption.decodeText(data));
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        this.metadata.created = new Date().toISOString();
-        await this.saveMetadata();
-      } else {
-        throw error;
-      }
+      if (error.code === 'ENOENT') return null;
+      throw error;
     }
   }
 
   async saveMetadata() {
+    if (this.readonly) return;
+    
     const metaPath = path.join(this.dbPath, '_metadata.json');
     this.metadata.modified = new Date().toISOString();
-    await fs.writeFile(metaPath, JSON.stringify(this.metadata, null, 2));
+    const content = this.encryption.encodeText(JSON.stringify(this.metadata, null, 2));
+    await this.withWriteLock(() => writeFileAtomic(metaPath, content));
+  }
+
+  // In shared mode, file writes are serialized across processes
+  withWriteLock(fn) {
+    return this.lock.shared ? this.lock.hold(fn) : fn();
+  }
+
+  assertWritable() {
+    if (this.readonly) {
+      throw new Error('Database is open in readonly mode');
+    }
+  }
+
+  // Applies transactions that were committed but not fully applied, by
+  // this database's last process or, in shared mode, by processes that died
+  async recoverTransactions() {
+    const own = path.join(this.dbPath, this.lock.fileName('_transaction.json'));
+    for (const filePath of [own, ...await this.lock.orphanedFiles('_transaction.json')]) {
+      await new TransactionJournal(filePath, this.encryption).recover(this);
+    }
+  }
+
+  // Shared mode: picks up tables created and records saved by other
+  // processes. Runs every `refreshInterval` ms.
+  async refresh() {
+    if (!this.lock.shared) return;
+    
+    const metadata = await this.lock.hold(() => this.readMetadata());
+    for (const [name, tableMeta] of Object.entries(metadata ? metadata.tables : {})) {
+      if (!this.metadata.tables[name]) {
+        this.metadata.tables[name] = tableMeta;
+      }
+    }
+    await this.loadTables();
+    
+    for (const table of this.tables.values()) {
+      // withFileLock reloads the table first if its files changed
+      await table.withFileLock(() => {});
+    }
   }
 
   async migrateFromJSON() {
-    try {
-      const files = await fs.readdir(this.dbPath);
-      const jsonFiles = files.filter(f => f.endsWith('.json') && !f.startsWith('_'));
+    const files = await fs.readdir(this.dbPath);
+    const jsonFiles = files.filter(f => f.endsWith('.json') && !f.endsWith('.meta.json') && !f.startsWith('_'));
+    
+    for (const file of jsonFiles) {
+      const tableName = path.basename(file, '.json');
+      const jsonPath = path.join(this.dbPath, file);
+      const jsonlPath = path.join(this.dbPath, `${tableName}.jsonl`);
+      const metaPath = path.join(this.dbPath, `${tableName}.meta.json`);
+      
+      try {
+        await fs.access(jsonlPath);
+        continue;
+      } catch {
+      }
       
-      for (const file of jsonFiles) {
-        const tableName = path.basename(file, '.json');
-        const jsonPath = path.join(this.dbPath, file);
-        const jsonlPath = path.join(this.dbPath, `${tableName}.jsonl`);
-        const metaPath = path.join(this.dbPath, `${tableName}.meta.json`);
+      try {
+        const jsonContent = await fs.readFile(jsonPath, 'utf-8');
+        const parsed = JSON.parse(jsonContent);
         
-        try {
-          await fs.access(jsonlPath);
-          continue;
-        } catch {
-        }
+        let recordCount = 0;
+        let autoIncrement = 1;
+        const indices = [];
         
-        try {
-          const jsonContent = await fs.readFile(jsonPath, 'utf-8');
-          const parsed = JSON.parse(jsonContent);
-          
-          let recordCount = 0;
-          let autoIncrement = 1;
-          const indices = [];
-          
-          if (parsed.data) {
-            const jsonlLines = [];
-            for (const [id, record] of Object.entries(parsed.data)) {
-              jsonlLines.push(JSON.stringify(record));
-              recordCount++;
-            }
-            
-            if (jsonlLines.length > 0) {
-              await fs.writeFile(jsonlPath, jsonlLines.join('\n') + '\n');
-            }
-            
-            autoIncrement = parsed.autoIncrement || 1;
-            if (parsed.indices) {
-              indices.push(...parsed.indices);
-            }
+        if (parsed.data) {
+          const jsonlLines = [];
+          for (const [id, record] of Object.entries(parsed.data)) {
+            jsonlLines.push(JSON.stringify(record));
+            recordCount++;
           }
           
-          const metadata = {
-            autoIncrement,
-            indices,
-            recordCount,
-            modified: parsed.modified || new Date().toISOString()
-          };
-          
-          await fs.writeFile(metaPath, JSON.stringify(metadata, null, 2));
-          await fs.unlink(jsonPath);
+          if (jsonlLines.length > 0) {
+            await fs.writeFile(jsonlPath, jsonlLines.join('\n') + '\n');
+          }
           
-        } catch (migrationError) {
+          autoIncrement = parsed.autoIncrement || 1;
+          if (parsed.indices) {
+            indices.push(...parsed.indices);
+          }
         }
+        
+        const metadata = {
+          autoIncrement,
+          indices,
+          recordCount,
+          modified: parsed.modified || new Date().toISOString()
+        };
+        
+        await fs.writeFile(metaPath, JSON.stringify(metadata, null, 2));
+        await fs.unlink(jsonPath);
+        
+      } catch (error) {
+        throw new MigrationError(`Could not convert ${file} to the JSONL format: ${error.message}`, null, error);
       }
-    } catch (error) {
     }
   }
 
   async loadTables() {
     const files = await fs.readdir(this.dbPath);
-    const tableFiles = files.filter(f => f.endsWith('.jsonl'));
+    const tableNames = new Set();
+    for (const file of files) {
+      const log = /^(.+)\.wal(\.[0-9a-f]+)?$/.exec(file);
+      if (file.endsWith('.jsonl')) {
+        tableNames.add(path.basename(file, '.jsonl'));
+      } else if (log) {
+        // A table whose inserts never made it past the log still exists
+        tableNames.add(log[1]);
+      }
+    }
     
-    for (const file of tableFiles) {
-      const tableName = path.basename(file, '.jsonl');
-      
+    // Tables are already loaded when refreshing
+    for (const name of this.tables.keys()) {
+      tableNames.delete(name);
+    }
+    
+    for (const tableName of tableNames) {
       if (!this.metadata.tables[tableName]) {
         this.metadata.tables[tableName] = {
           created: new Date().toISOString(),
@@ -146,21 +274,29 @@ class AmoraDB extends EventEmitter {
       }
       
       const table = new Table(tableName, this);
+      const schema = this.metadata.tables[tableName].schema;
+      if (schema && Object.keys(schema).length > 0) {
+        table.setSchema(schema, { persist: false });
+      }
+      if (this.metadata.tables[tableName].history) {
+        table.setHistory(this.metadata.tables[tableName].history, { persist: false });
+      }
       await table.load();
       this.tables.set(tableName, table);
     }
     
-    if (tableFiles.length > 0) {
+    if (tableNames.size > 0) {
       await this.saveMetadata();
     }
   }
 
-  table(name) {
+  table(name, options = {}) {
     if (!this.initialized) {
       throw new Error('Database not initialized. Call init() first.');
     }
     
     if (!this.tables.has(name)) {
+      this.assertWritable();
       const table = new Table(name, this);
       this.tables.set(name, table);
       this.metadata.tables[name] = {
@@ -172,10 +308,125 @@ class AmoraDB extends EventEmitter {
       this.saveMetadata();
     }
     
+    if (options.schema) {
+      this.tables.get(name).setSchema(options.schema);
+    }
+    if (options.history !== undefined) {
+      this.tables.get(name).setHistory(options.history);
+    }
+    
     return this.tables.get(name);
   }
 
+  // Re-encrypts every table with a new key. The old key stays usable for
+  // this process; pass it in `previousKeys` if a restart may interrupt this.
+  rotateEncryptionKey(key) {
+    this.assertWritable();
+    if (!this.encryption.enabled) {
+      throw new Error('Encryption is not enabled for this database');
+    }
+
+    const run = async () => {
+      this.encryption.setKey(key);
+      for (const table of this.tables.values()) {
+        await table.rewrite();
+      }
+      await this.saveMetadata();
+    };
+
+    const result = this.transactionQueue.then(run);
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  transaction(fn) {
+    this.assertWritable();
+    const run = async () => {
+      const tx = new Transaction(this);
+      try {
+        const result = await fn(tx);
+        await tx.commit();
+        return result;
+      } catch (error) {
+        if (tx.state === 'active') {
+          tx.rollback();
+        }
+        throw error;
+      }
+    };
+
+    const result = this.transactionQueue.then(run);
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  // Each migration's changes are committed atomically and the version it
+  // reached recorded right after, so a failure leaves earlier ones applied
+  migrate(migrations, options = {}) {
+    this.assertWritable();
+    const sorted = sortMigrations(migrations);
+    const latest = sorted.length > 0 ? sorted[sorted.length - 1].version : 0;
+    const target = options.to !== undefined ? options.to : latest;
+    if (!Number.isInteger(target) || target < 0) {
+      throw new Error(`Invalid migration target: ${target}`);
+    }
+    if (target > latest) {
+      throw new Error(`No migration with version ${target}; the latest is ${latest}`);
+    }
+    
+    const run = () => this.withWriteLock(async () => {
+      // Another process may have migrated the database since it was opened
+      if (this.lock.shared) {
+        const metadata = await this.readMetadata();
+        if (metadata) {
+          this.metadata.schemaVersion = metadata.schemaVersion;
+          this.metadata.migrations = metadata.migrations;
+        }
+      }
+      const current = this.metadata.schemaVersion || 0;
+      const applied = this.metadata.migrations || [];
+    
+      if (target >= current) {
+        for (const definition of sorted.filter(m => m.version > current && m.version <= target)) {
+          await new Migration(this, definition, 'up').execute();
+          applied.push({
+            version: definition.version,
+            description: definition.description || null,
+            applied: new Date().toISOString()
+          });
+          await this.recordSchemaVersion(definition.version, applied);
+        }
+        return this.metadata.schemaVersion || 0;
+      }
+    
+      const rollbacks = sorted.filter(m => m.version > target && m.version <= current).reverse();
+      const missing = rollbacks.find(m => typeof m.down !== 'function');
+      if (missing) {
+        throw new MigrationError(`Cannot roll back migration ${missing.version}: it has no down() function`, missing.version);
+      }
+      for (const definition of rollbacks) {
+        await new Migration(this, definition, 'down').execute();
+        const remaining = applied.filter(entry => entry.version < definition.version);
+        const previous = sorted.filter(m => m.version < definition.version).pop();
+        await this.recordSchemaVersion(previous ? previous.version : 0, remaining);
+      }
+      return this.metadata.schemaVersion;
+    });
+    
+    const result = this.transactionQueue.then(run);
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  async recordSchemaVersion(version, applied) {
+    this.metadata.schemaVersion = version;
+    this.metadata.migrations = applied;
+    await this.saveMetadata();
+    this.emit('migrate', { version });
+  }
+
   async dropTable(name) {
+    this.assertWritable();
     if (this.tables.has(name)) {
       const table = this.tables.get(name);
       await table.drop();
@@ -190,27 +441,173 @@ class AmoraDB extends EventEmitter {
   }
 
   async close() {
+    clearInterval(this.refreshTimer);
     for (const table of this.tables.values()) {
-      await table.flush();
+      await table.close();
     }
+    await this.lock.release();
     this.emit('close');
   }
 
-  async backup(backupPath) {
-    const backupDir = backupPath || `${this.dbPath}_backup_${Date.now()}`;
-    await fs.mkdir(backupDir, { recursive: true });
+  // Runs `fn` with every table saved and its files unchanging: transactions
+  // wait, and each table holds back saves and appends until `fn` is done.
+  // Changes made meanwhile stay in memory and the write-ahead log.
+  withSavedFiles(fn) {
+    const run = () => this.withWriteLock(async () => {
+      let release;
+      const done = new Promise(resolve => {
+        release = resolve;
+      });
+      const held = Array.from(this.tables.values()).map(table => new Promise((resolve, reject) => {
+        table.hold(() => {
+          resolve();
+          return done;
+        }).catch(reject);
+      }));
+      
+      try {
+        await Promise.all(held);
+        await this.saveMetadata();
+        return await fn(await this.listDataFiles());
+      } finally {
+        release();
+      }
+    });
     
+    const result = this.transactionQueue.then(run);
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  // Files that make up the database once it is saved. Logs are left out
+  // since saving applied them, except in readonly mode, which can't save.
+  async listDataFiles() {
     const files = await fs.readdir(this.dbPath);
-    for (const file of files) {
-      const src = path.join(this.dbPath, file);
-      const dest = path.join(backupDir, file);
-      await fs.copyFile(src, dest);
+    return files.filter(file => file !== LOCK_DIR && !file.endsWith('.tmp') &&
+      (this.readonly || !LOG_FILE.test(file)));
+  }
+
+  // Files are hard-linked or cloned (copy-on-write) where possible. The
+  // snapshot opens as a database named after its directory.
+  async snapshot(snapshotPath) {
+    const snapshotDir = snapshotPath || `${this.dbPath}_snapshot_${Date.now()}`;
+    
+    const existing = await fs.readdir(snapshotDir).catch(() => []);
+    if (existing.length > 0) {
+      throw new Error(`Snapshot target is not empty: ${snapshotDir}`);
     }
+    await fs.mkdir(snapshotDir, { recursive: true });
+    
+    await this.withSavedFiles(async (files) => {
+      for (const file of files) {
+        const copy = REPLACED_FILE.test(file) ? linkOrClone : cloneFile;
+        await copy(path.join(this.dbPath, file), path.join(snapshotDir, file));
+      }
+    });
     
-    return backupDir;
+    return snapshotDir;
+  }
+
+  // An incremental backup only copies what changed since the backup it
+  // builds on: `since`, or else the newest backup of this database in the
+  // same directory
+  async backup(backupPath, options = {}) {
+    const backupDir = backupPath || `${this.dbPath}_backup_${Date.now()}`;
+    
+    let base = null;
+    if (options.since) {
+      const manifest = await readManifest(options.since);
+      if (!manifest) {
+        throw new Error(`Not a backup: ${options.since}`);
+      }
+      if (path.resolve(path.dirname(options.since)) !== path.resolve(path.dirname(backupDir))) {
+        throw new Error('An incremental backup must be in the same directory as the backup it builds on');
+      }
+      base = { path: options.since, manifest };
+    } else if (options.incremental) {
+      const backups = await listBackups(path.dirname(backupDir));
+      base = backups.find(backup => backup.manifest.database === this.dbName &&
+        path.resolve(backup.path) !== path.resolve(backupDir)) || null;
+    }
+    
+    return this.withSavedFiles(files => writeBackup(this.dbPath, files, backupDir, {
+      database: this.dbName,
+      base
+    }));
+  }
+
+  static restore(backupPath, targetPath, options = {}) {
+    return restoreBackup(backupPath, targetPath, options);
+  }
+
+  static pruneBackups(directory, options = {}) {
+    return pruneBackups(directory, options);
+  }
+
+  // Unlike backups, dumps are plain JSON, unencrypted and independent of the
+  // storage format
+  async dump(dumpPath) {
+    const dumpDir = dumpPath || `${this.dbPath}_dump_${Date.now()}`;
+    await fs.mkdir(dumpDir, { recursive: true });
+    
+    const dump = {
+      version: 1,
+      database: this.dbName,
+      created: new Date().toISOString(),
+      tables: {}
+    };
+    for (const [name, table] of this.tables.entries()) {
+      const { exported } = await table.export(path.join(dumpDir, `${name}.ndjson`), { format: 'ndjson' });
+      dump.tables[name] = {
+        records: exported,
+        schema: this.metadata.tables[name].schema || {},
+        indices: table.indexManager.getIndexDefinitions(),
+        history: this.metadata.tables[name].history || false
+      };
+    }
+    
+    await writeFileAtomic(path.join(dumpDir, DUMP_FILE), JSON.stringify(dump, null, 2));
+    return dumpDir;
+  }
+
+  async load(dumpPath, options = {}) {
+    this.assertWritable();
+    let dump;
+    try {
+      dump = JSON.parse(await fs.readFile(path.join(dumpPath, DUMP_FILE), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Not a dump: ${dumpPath}`);
+      }
+      throw error;
+    }
+    
+    const reports = {};
+    for (const [name, { schema, indices, history }] of Object.entries(dump.tables)) {
+      const table = this.table(name);
+      if (schema && Object.keys(schema).length > 0) {
+        table.setSchema(schema);
+      }
+      if (history) {
+        table.setHistory(history);
+      }
+      for (const definition of indices) {
+        if (!table.indexManager.getIndices().includes(IndexManager.indexName(definition.fields, definition))) {
+          await table.createIndex(definition.fields, definition);
+        }
+      }
+    
+      reports[name] = await table.import(path.join(dumpPath, `${name}.ndjson`), {
+        mode: 'replace',
+        ...options,
+        format: 'ndjson'
+      });
+    }
+    return reports;
   }
 
   async drop() {
+    this.assertWritable();
     await this.close();
     await fs.rm(this.dbPath, { recursive: true, force: true });
   }
@@ -232,13 +629,14 @@ class AmoraDB extends EventEmitter {
   }
 
   async optimize() {
+    this.assertWritable();
     for (const [name, table] of this.tables.entries()) {
       await table.flush();
       
-      const indices = table.indexManager.getIndices();
-      for (const field of indices) {
-        table.indexManager.dropIndex(field);
-        table.createIndex(field);
+      const definitions = table.indexManager.getIndexDefinitions();
+      for (const definition of definitions) {
+        table.indexManager.dropIndex(definition.fields, definition);
+        await table.createIndex(definition.fields, definition);
       }
     }
   }
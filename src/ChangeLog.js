@@ -0,0 +1,125 @@
+const fs = require('fs').promises;
+const { Encryption } = require('./Encryption');
+const { IntegrityError } = require('./errors');
+const { writeFileAtomic } = require('./utils/fs');
+
+// Keeps the most recent change events in memory and on disk so change
+// streams can resume from a sequence number. Events are buffered and
+// written by flush(), which Table.save() calls before the WAL is
+// checkpointed; after a crash the replayed WAL entries are recorded again,
+// so a resumed stream may see a change twice but never misses one.
+// Without a file path the events are only kept in memory.
+class ChangeLog {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.size = options.size === undefined ? 1000 : options.size;
+    this.encryption = options.encryption || new Encryption();
+    this.events = [];
+    this.pending = [];
+    this.fileCount = 0;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async open() {
+    if (!this.filePath) return;
+
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const events = [];
+    const lines = content.split('\n');
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        events.push(this.encryption.decodeFields(JSON.parse(this.encryption.decodeText(line))));
+      } catch (error) {
+        // Torn last line from a crash mid-append; an earlier line that fails
+        // authentication was tampered with
+        if (error instanceof IntegrityError && i < lines.length - 1) throw error;
+      }
+    });
+
+    this.fileCount = events.length;
+    this.events = this.size > 0 ? events.slice(-this.size) : [];
+  }
+
+  get lastSequence() {
+    return this.events.length > 0 ? this.events[this.events.length - 1].seq : 0;
+  }
+
+  add(event) {
+    if (this.size === 0) return;
+
+    this.events.push(event);
+    this.pending.push(event);
+    if (this.events.length > this.size * 2) {
+      this.events = this.events.slice(-this.size);
+    }
+  }
+
+  // Throws if events after `sequence` have already been dropped
+  since(sequence, current) {
+    const oldest = this.events.length > 0 ? this.events[0].seq : current + 1;
+    if (sequence < oldest - 1) {
+      throw new Error(`Cannot resume after change ${sequence}: the change log starts at ${oldest}`);
+    }
+    return this.events.filter(event => event.seq > sequence);
+  }
+
+  flush() {
+    if (!this.filePath) this.pending = [];
+    if (this.pending.length === 0) return this.writeQueue;
+
+    const pending = this.pending;
+    this.pending = [];
+
+    // Rewrite the file once it holds twice the retained events
+    if (this.fileCount + pending.length > this.size * 2) {
+      return this.rewrite();
+    }
+
+    this.fileCount += pending.length;
+    const content = this.serialize(pending);
+    this.writeQueue = this.writeQueue.catch(() => {}).then(() => fs.appendFile(this.filePath, content));
+    return this.writeQueue;
+  }
+
+  // Replaces the file with the retained events, also used to re-encrypt it
+  rewrite() {
+    this.pending = [];
+    if (!this.filePath) return this.writeQueue;
+
+    this.events = this.events.slice(-this.size);
+    this.fileCount = this.events.length;
+    const content = this.serialize(this.events);
+    this.writeQueue = this.writeQueue.catch(() => {}).then(() => writeFileAtomic(this.filePath, content));
+    return this.writeQueue;
+  }
+
+  serialize(events) {
+    return events.map(event => {
+      const encoded = {
+        ...event,
+        before: this.encryption.encodeFields(event.before),
+        after: this.encryption.encodeFields(event.after)
+      };
+      return this.encryption.encodeText(JSON.stringify(encoded)) + '\n';
+    }).join('');
+  }
+
+  async destroy() {
+    await this.writeQueue.catch(() => {});
+    this.events = [];
+    this.pending = [];
+    this.fileCount = 0;
+    if (!this.filePath) return;
+    await fs.unlink(this.filePath).catch(() => {});
+  }
+}
+
+module.exports = { ChangeLog };
\ No newline at end of file
@@ -0,0 +1,131 @@
+const { EventEmitter } = require('events');
+const { compileQuery } = require('./utils/query');
+
+// Async iterator over a table's change events. Events are queued from the
+// moment the stream is created, so none are lost while the consumer is busy.
+class ChangeStream {
+  constructor(table, filter, options = {}) {
+    this.table = table;
+    this.matches = filter ? compileQuery(filter) : () => true;
+    this.fullDocument = options.fullDocument !== false;
+    this.includeBefore = options.includeBefore === true;
+    this.queue = [];
+    this.waiting = [];
+    this.closed = false;
+    this.lastSequence = options.resumeAfter === undefined ? table.sequence : options.resumeAfter;
+
+    for (const event of table.changesSince(this.lastSequence)) {
+      this.push(event);
+    }
+
+    this.listener = event => this.push(event);
+    table.on('change', this.listener);
+  }
+
+  push(event) {
+    if (this.closed || event.seq <= this.lastSequence) return;
+    this.lastSequence = event.seq;
+    if (!this.matchesEvent(event)) return;
+
+    const change = { seq: event.seq, op: event.op, _id: event._id, timestamp: event.timestamp };
+    if (this.fullDocument && event.after) change.after = event.after;
+    if (this.includeBefore && event.before) change.before = event.before;
+
+    if (this.waiting.length > 0) {
+      this.waiting.shift()({ value: change, done: false });
+    } else {
+      this.queue.push(change);
+    }
+  }
+
+  // A change is relevant if the record matches before or after it, so
+  // records moving out of the filter are reported too
+  matchesEvent(event) {
+    return (event.after !== null && this.matches(event.after)) ||
+      (event.before !== null && this.matches(event.before));
+  }
+
+  next() {
+    if (this.queue.length > 0) {
+      return Promise.resolve({ value: this.queue.shift(), done: false });
+    }
+    if (this.closed) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  return() {
+    this.close();
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.table.removeListener('change', this.listener);
+    for (const resolve of this.waiting) {
+      resolve({ value: undefined, done: true });
+    }
+    this.waiting = [];
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
+
+// Re-runs a query whenever a change touches a record that matches it, before
+// or after the change, and emits the new results. Changes arriving in the
+// same tick are coalesced into one re-evaluation.
+class LiveQuery extends EventEmitter {
+  constructor(query) {
+    super();
+    this.query = query;
+    this.table = query.table;
+    this.running = false;
+    this.stale = false;
+    this.closed = false;
+
+    this.listener = event => {
+      if (this.affects(event.before) || this.affects(event.after)) {
+        this.refresh();
+      }
+    };
+    this.table.on('change', this.listener);
+    this.refresh();
+  }
+
+  affects(record) {
+    if (!record) return false;
+    return this.query.conditions.every(condition => condition(record));
+  }
+
+  refresh() {
+    this.stale = true;
+    if (this.running) return;
+
+    this.running = true;
+    setImmediate(async () => {
+      while (this.stale && !this.closed) {
+        this.stale = false;
+        try {
+          const results = await this.query.execute();
+          if (!this.stale && !this.closed) {
+            this.emit('results', results);
+          }
+        } catch (error) {
+          this.emit('error', error);
+        }
+      }
+      this.running = false;
+    });
+  }
+
+  close() {
+    this.closed = true;
+    this.table.removeListener('change', this.listener);
+  }
+}
+
+module.exports = { ChangeStream, LiveQuery };
\ No newline at end of file
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { IntegrityError } = require('./errors');
+const { getPath } = require('./utils/path');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_ID_LENGTH = 8;
+
+// Encrypted text is 'e', the id of the key it was written with and the
+// base64 of iv + auth tag + ciphertext, so it fits on one line and is told
+// apart from JSON ('{') and compressed records (see utils/compression)
+const PREFIX = 'e';
+
+// Keyring for encryption at rest. Either whole files and log lines are
+// encrypted, or only the configured record fields, which are replaced with
+// { $encrypted: '...' } wherever records are written. Without options it
+// leaves everything as is.
+class Encryption {
+  constructor(options) {
+    this.keys = new Map();
+    this.keyId = null;
+    this.enabled = Boolean(options);
+    if (!options) return;
+
+    const algorithm = options.algorithm || ALGORITHM;
+    if (algorithm !== ALGORITHM) {
+      throw new Error(`Unsupported encryption algorithm: ${algorithm}. Expected ${ALGORITHM}`);
+    }
+    if (!options.key && typeof options.keyProvider !== 'function') {
+      throw new Error('Encryption requires a key or a keyProvider function');
+    }
+
+    this.fields = options.fields ? [].concat(options.fields) : null;
+    if (this.fields && this.fields.some(field => field === '_id' || field.startsWith('_id.'))) {
+      throw new Error('The _id field cannot be encrypted');
+    }
+
+    this.keyProvider = options.keyProvider || null;
+    for (const key of options.previousKeys || []) {
+      this.addKey(key);
+    }
+    if (options.key) {
+      this.setKey(options.key);
+    }
+  }
+
+  // Resolves the key from the keyProvider, which may be async (e.g. a KMS)
+  async init() {
+    if (this.keyProvider && !this.keyId) {
+      this.setKey(await this.keyProvider());
+    }
+    return this;
+  }
+
+  addKey(key) {
+    const buffer = parseKey(key);
+    const id = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, KEY_ID_LENGTH);
+    this.keys.set(id, buffer);
+    return id;
+  }
+
+  // New data is written with this key; the previous ones stay available
+  // for reading data that hasn't been rewritten yet
+  setKey(key) {
+    this.keyId = this.addKey(key);
+  }
+
+  // Describes how data is written with the current settings, so tables can
+  // tell whether their files need rewriting
+  get fingerprint() {
+    if (!this.enabled) return false;
+    return this.fields ? `${this.keyId}:${this.fields.join(',')}` : this.keyId;
+  }
+
+  // Whether `path` is, contains or is inside an encrypted field
+  encryptsField(path) {
+    if (!this.enabled || !this.fields) return false;
+    return this.fields.some(field =>
+      field === path || field.startsWith(`${path}.`) || path.startsWith(`${field}.`));
+  }
+
+  static isEncrypted(text) {
+    return typeof text === 'string' && text.startsWith(PREFIX);
+  }
+
+  encrypt(text) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.keys.get(this.keyId), iv);
+    const ciphertext = Buffer.concat([cipher.update(text, 'utf-8'), cipher.final()]);
+    return PREFIX + this.keyId + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+  }
+
+  decrypt(text) {
+    const id = text.slice(PREFIX.length, PREFIX.length + KEY_ID_LENGTH);
+    const key = this.keys.get(id);
+    if (!key) {
+      throw new IntegrityError(this.enabled
+        ? `Data is encrypted with key ${id}, which is not configured`
+        : 'Data is encrypted but no encryption key is configured');
+    }
+
+    const payload = Buffer.from(text.slice(PREFIX.length + KEY_ID_LENGTH), 'base64');
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, payload.subarray(0, IV_LENGTH));
+      decipher.setAuthTag(payload.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+      return Buffer.concat([
+        decipher.update(payload.subarray(IV_LENGTH + TAG_LENGTH)),
+        decipher.final()
+      ]).toString('utf-8');
+    } catch (error) {
+      throw new IntegrityError('Encrypted data failed authentication: it was modified or is incomplete');
+    }
+  }
+
+  // File contents and log lines are encrypted whole, unless only fields are
+  encodeText(text) {
+    return this.enabled && !this.fields ? this.encrypt(text) : text;
+  }
+
+  // Plain text is returned as is
+  decodeText(text) {
+    return Encryption.isEncrypted(text) ? this.decrypt(text) : text;
+  }
+
+  // A copy of the record, with the encrypted fields replaced by their
+  // ciphertext
+  encodeFields(record) {
+    if (!record || !this.enabled || !this.fields) return record;
+
+    let result = record;
+    for (const field of this.fields) {
+      const value = getPath(record, field);
+      if (value !== undefined) {
+        result = replacePath(result, field.split('.'), { $encrypted: this.encrypt(JSON.stringify(value)) });
+      }
+    }
+    return result;
+  }
+
+  // Decrypts every { $encrypted } value inside freshly parsed data (a record,
+  // a log entry or a change event) in place
+  decodeFields(value) {
+    if (this.keys.size === 0 || !value || typeof value !== 'object') return value;
+
+    if (isEncryptedValue(value)) {
+      return JSON.parse(this.decrypt(value.$encrypted));
+    }
+    for (const key of Object.keys(value)) {
+      value[key] = this.decodeFields(value[key]);
+    }
+    return value;
+  }
+}
+
+function parseKey(key) {
+  let buffer = null;
+  if (Buffer.isBuffer(key)) {
+    buffer = key;
+  } else if (typeof key === 'string') {
+    buffer = Buffer.from(key, /^[0-9a-f]+$/i.test(key) ? 'hex' : 'base64');
+  }
+  if (!buffer || buffer.length !== KEY_LENGTH) {
+    throw new Error(`Encryption keys must be ${KEY_LENGTH} bytes: a Buffer, a hex string or a base64 string`);
+  }
+  return buffer;
+}
+
+function isEncryptedValue(value) {
+  const keys = Object.keys(value);
+  return keys.length === 1 && keys[0] === '$encrypted' && typeof value.$encrypted === 'string';
+}
+
+// Copies the objects along the path instead of mutating them, since the
+// record may be cached or still in use by the caller
+function replacePath(object, parts, value) {
+  const copy = Array.isArray(object) ? object.slice() : { ...object };
+  const [part, ...rest] = parts;
+  if (rest.length === 0) {
+    copy[part] = value;
+  } else if (copy[part] && typeof copy[part] === 'object') {
+    copy[part] = replacePath(copy[part], rest, value);
+  }
+  return copy;
+}
+
+module.exports = { Encryption };
\ No newline at end of file
@@ -0,0 +1,213 @@
+const fs = require('fs').promises;
+const { unlinkSync } = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { LockError } = require('./errors');
+
+const LOCK_MODES = ['none', 'exclusive', 'shared', 'readonly'];
+const LOCK_DIR = '_lock';
+const MUTEX_FILE = 'write.lock';
+const RETRY_DELAY = 20;
+
+// Inter-process lock on a database directory. Every process that opens the
+// database with a lock mode other than 'none' registers a holder file in
+// _lock/, refreshed by a heartbeat, and holders whose process is gone or
+// whose heartbeat stopped are removed as stale. Registration, and in shared
+// mode every write, happen under the write.lock mutex, a file that only one
+// process can create.
+class FileLock {
+  constructor(dbPath, options = {}) {
+    this.dbPath = dbPath;
+    this.dirPath = path.join(dbPath, LOCK_DIR);
+    this.mutexPath = path.join(this.dirPath, MUTEX_FILE);
+    this.mode = options.mode || 'exclusive';
+    this.timeout = options.timeout || 10000;
+    this.staleTimeout = options.staleTimeout || 30000;
+    this.id = crypto.randomBytes(6).toString('hex');
+    this.holderPath = path.join(this.dirPath, `${this.id}.json`);
+    this.holder = { id: this.id, pid: process.pid, hostname: os.hostname(), mode: this.mode };
+    this.heartbeat = null;
+    this.owned = false;
+    this.depth = 0;
+    this.acquiring = null;
+  }
+
+  get shared() {
+    return this.mode === 'shared';
+  }
+
+  get readonly() {
+    return this.mode === 'readonly';
+  }
+
+  // Registers this process as a holder. Shared and readonly holders only
+  // coexist with holders of the same mode; otherwise this throws a LockError.
+  async acquire() {
+    if (this.mode === 'none') return;
+    await fs.mkdir(this.dirPath, { recursive: true });
+
+    await this.hold(async () => {
+      for (const other of await this.readHolders()) {
+        if (other.mode !== this.mode || this.mode === 'exclusive') {
+          throw new LockError(
+            `Cannot open database in ${this.mode} mode: process ${other.pid} on ${other.hostname} has it open in ${other.mode} mode`,
+            other
+          );
+        }
+      }
+      await fs.writeFile(this.holderPath, JSON.stringify(this.holder));
+    });
+
+    this.heartbeat = setInterval(() => this.touch(), this.staleTimeout / 3);
+    this.heartbeat.unref();
+  }
+
+  async release() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    await fs.unlink(this.holderPath).catch(() => {});
+  }
+
+  touch() {
+    const now = new Date();
+    fs.utimes(this.holderPath, now, now).catch(() => {});
+    if (this.owned) {
+      fs.utimes(this.mutexPath, now, now).catch(() => {});
+    }
+  }
+
+  // Runs `fn` holding the write mutex. Calls from the same process share the
+  // mutex, so they can nest.
+  async hold(fn) {
+    while (!this.owned) {
+      this.acquiring = this.acquiring || this.lockMutex().finally(() => {
+        this.acquiring = null;
+      });
+      await this.acquiring;
+    }
+
+    this.depth++;
+    try {
+      return await fn();
+    } finally {
+      if (--this.depth === 0) {
+        this.owned = false;
+        try {
+          unlinkSync(this.mutexPath);
+        } catch (error) {
+        }
+      }
+    }
+  }
+
+  async lockMutex() {
+    const deadline = Date.now() + this.timeout;
+
+    // Written aside and hard-linked into place, so the mutex never exists
+    // without its owner in it
+    const tempPath = `${this.mutexPath}.${this.id}`;
+    await fs.writeFile(tempPath, JSON.stringify(this.holder));
+
+    try {
+      for (;;) {
+        try {
+          await fs.link(tempPath, this.mutexPath);
+          this.owned = true;
+          return;
+        } catch (error) {
+          if (error.code !== 'EEXIST') throw error;
+        }
+
+        const current = await this.readHolder(this.mutexPath);
+        if (current && this.isStale(current)) {
+          await fs.unlink(this.mutexPath).catch(() => {});
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw new LockError(`Timed out after ${this.timeout}ms waiting for the write lock on ${this.dbPath}`, current);
+        }
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY + Math.random() * RETRY_DELAY));
+      }
+    } finally {
+      await fs.unlink(tempPath).catch(() => {});
+    }
+  }
+
+  async readHolder(filePath) {
+    try {
+      const [content, stat] = await Promise.all([fs.readFile(filePath, 'utf-8'), fs.stat(filePath)]);
+      let holder = {};
+      try {
+        holder = JSON.parse(content);
+      } catch (error) {
+        // Still being written; only its age can make it stale
+      }
+      return { ...holder, heartbeat: stat.mtimeMs };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  isStale(holder) {
+    if (holder.hostname === os.hostname() && holder.pid && !isRunning(holder.pid)) {
+      return true;
+    }
+    return Date.now() - holder.heartbeat > this.staleTimeout;
+  }
+
+  // Other live holders; stale ones are removed along the way
+  async readHolders() {
+    const files = await fs.readdir(this.dirPath).catch(() => []);
+    const holders = [];
+    for (const file of files) {
+      if (!file.endsWith('.json') || file === `${this.id}.json`) continue;
+
+      const filePath = path.join(this.dirPath, file);
+      const holder = await this.readHolder(filePath);
+      if (!holder) continue;
+      if (this.isStale(holder)) {
+        await fs.unlink(filePath).catch(() => {});
+        await fs.unlink(`${this.mutexPath}.${path.basename(file, '.json')}`).catch(() => {});
+      } else {
+        holders.push(holder);
+      }
+    }
+    return holders;
+  }
+
+  // Name of a file each writing process keeps for itself, like a table's
+  // write-ahead log: `base` in exclusive mode, `base.<id>` in shared mode
+  fileName(base) {
+    return this.shared ? `${base}.${this.id}` : base;
+  }
+
+  // Paths of per-process files left behind by processes that are no longer
+  // running, so their contents can be recovered
+  async orphanedFiles(base) {
+    const files = await fs.readdir(this.dbPath);
+    const live = new Set((await this.readHolders()).map(holder => holder.id));
+    const own = this.fileName(base);
+
+    return files
+      .filter(file => {
+        if (file === own) return false;
+        if (file === base) return true;
+        const id = file.startsWith(`${base}.`) ? file.slice(base.length + 1) : null;
+        return Boolean(id) && /^[0-9a-f]+$/.test(id) && !live.has(id);
+      })
+      .map(file => path.join(this.dbPath, file));
+  }
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+module.exports = { FileLock, LOCK_MODES, LOCK_DIR };
\ No newline at end of file
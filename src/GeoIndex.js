@@ -0,0 +1,87 @@
+const { SortedIndex } = require('./SortedIndex');
+const {
+  GEO_OPERATORS,
+  toPoint,
+  distance,
+  parseNear,
+  parseShape,
+  circleBounds,
+  encodeGeohash,
+  coveringGeohashes,
+  inBounds
+} = require('./utils/geo');
+
+const GEOHASH_PRECISION = 10;
+
+// 2D index over a location field. Points are kept in a skip list keyed by
+// geohash, so every geohash cell is a contiguous range; a bounding box is
+// searched by walking the few cells that cover it.
+class GeoIndex {
+  constructor() {
+    this.type = 'geo';
+    this.hashes = new SortedIndex();
+    this.points = new Map();
+  }
+
+  get size() {
+    return this.points.size;
+  }
+
+  add(id, value) {
+    const point = toPoint(value);
+    if (!point) return;
+
+    this.hashes.insert(encodeGeohash(point, GEOHASH_PRECISION), id);
+    this.points.set(id, point);
+  }
+
+  remove(id) {
+    if (!this.points.has(id)) return;
+    this.hashes.delete(id);
+    this.points.delete(id);
+  }
+
+  // Ids of the points inside any of the bounding boxes
+  idsInBounds(boxes) {
+    const ids = new Set();
+    for (const box of boxes) {
+      for (const prefix of coveringGeohashes(box, GEOHASH_PRECISION)) {
+        for (const node of this.hashes.range({ min: prefix, max: `${prefix}~` })) {
+          if (inBounds(this.points.get(node.id), box)) {
+            ids.add(node.id);
+          }
+        }
+      }
+    }
+    return ids;
+  }
+
+  // `condition` holds the field's operators, including $near, $geoWithin or
+  // $geoIntersects
+  find(condition) {
+    const operator = GEO_OPERATORS.find(name => name in condition);
+
+    if (operator === '$near') {
+      const { point, maxDistance, minDistance } = parseNear(condition.$near, condition);
+      const ids = this.idsInBounds(circleBounds(point, maxDistance));
+      for (const id of ids) {
+        const meters = distance(point, this.points.get(id));
+        if (meters > maxDistance || meters < minDistance) ids.delete(id);
+      }
+      return ids;
+    }
+
+    const shape = parseShape(condition[operator], operator);
+    const ids = this.idsInBounds(shape.bounds);
+    for (const id of ids) {
+      if (!shape.contains(this.points.get(id))) ids.delete(id);
+    }
+    return ids;
+  }
+
+  serialize() {
+    return Array.from(this.points, ([id, { lat, lng }]) => [id, lat, lng]);
+  }
+}
+
+module.exports = { GeoIndex };
\ No newline at end of file
@@ -1,34 +1,146 @@
+const { SortedIndex } = require('./SortedIndex');
+const { TextIndex } = require('./TextIndex');
+const { GeoIndex } = require('./GeoIndex');
+const { TTLIndex } = require('./TTLIndex');
+const { DuplicateKeyError } = require('./errors');
+
+// A table has at most one text index, stored under this name
+const TEXT_INDEX = '$text';
+
 class IndexManager {
   constructor() {
     this.indices = new Map();
+    this.options = new Map();
     this.oldValues = new Map();
   }
 
-  createIndex(field, data) {
+  static indexName(field, options = {}) {
+    if (options.type === 'text') return TEXT_INDEX;
+    return Array.isArray(field) ? field.join(',') : field;
+  }
+
+  createIndex(field, data, options = {}) {
+    const fields = Array.isArray(field) ? field : [field];
+    const name = IndexManager.indexName(fields, options);
+    
+    if (options.type === 'text') {
+      if (options.unique) {
+        throw new Error('Text indexes cannot be unique');
+      }
+      if (this.indices.has(TEXT_INDEX)) {
+        throw new Error('A table can only have one text index');
+      }
+      this.createTextIndex(fields, data, options);
+      this.options.set(name, { fields, unique: false });
+      return this;
+    }
+    
+    if (options.type === 'geo' && (options.unique || fields.length > 1)) {
+      throw new Error('Geo indexes cover a single field and cannot be unique');
+    }
+    if (options.type === 'ttl') {
+      if (options.unique || fields.length > 1) {
+        throw new Error('TTL indexes cover a single field and cannot be unique');
+      }
+      const existing = this.getTTLIndex();
+      if (existing && existing.field !== fields[0]) {
+        throw new Error('A table can only have one TTL index');
+      }
+    }
+    
+    this.options.set(name, { fields, unique: Boolean(options.unique) });
+    
+    if (fields.length > 1) {
+      this.createCompoundIndex(name, fields, data);
+    } else {
+      this.createFieldIndex(fields[0], data, options);
+    }
+    
+    if (options.unique) {
+      const duplicate = this.findIndexDuplicate(name);
+      if (duplicate) {
+        this.dropIndex(name);
+        throw new DuplicateKeyError(duplicate);
+      }
+    }
+    
+    return this;
+  }
+
+  createCompoundIndex(name, fields, data) {
+    const compoundIndex = {
+      type: 'compound',
+      fields,
+      root: new Map()
+    };
+    
+    for (const [id, record] of data.entries()) {
+      this.addToCompound(compoundIndex.root, this.getCompoundKey(compoundIndex, record), id);
+    }
+    
+    this.indices.set(name, compoundIndex);
+  }
+
+  createTextIndex(fields, data, options) {
+    const textIndex = new TextIndex(fields, options);
+    for (const [id, record] of data.entries()) {
+      textIndex.add(id, record);
+    }
+    this.indices.set(TEXT_INDEX, textIndex);
+  }
+
+  getTextIndex() {
+    return this.indices.get(TEXT_INDEX) || null;
+  }
+
+  createGeoIndex(field, data) {
+    const geoIndex = new GeoIndex();
+    for (const [id, record] of data.entries()) {
+      geoIndex.add(id, this.getFieldValue(record, field));
+    }
+    this.indices.set(field, geoIndex);
+  }
+
+  createTTLIndex(field, data, options) {
+    const ttlIndex = new TTLIndex(field, options);
+    for (const [id, record] of data.entries()) {
+      ttlIndex.add(id, record);
+    }
+    this.indices.set(field, ttlIndex);
+  }
+
+  // The table's TTL index, if it has one
+  getTTLIndex() {
+    for (const index of this.indices.values()) {
+      if (index.type === 'ttl') return index;
+    }
+    return null;
+  }
+
+  createFieldIndex(field, data, options) {
+    if (options.type === 'geo') {
+      this.createGeoIndex(field, data);
+      return;
+    }
+    if (options.type === 'ttl') {
+      this.createTTLIndex(field, data, options);
+      return;
+    }
+    
     const index = new Map();
-    const isRangeField = this.isNumericOrDateField(data, field);
+    const isRangeField = options.type ?
+      options.type === 'sorted' : this.isNumericOrDateField(data, field);
     
     if (isRangeField) {
-      const sortedIndex = {
-        type: 'sorted',
-        values: [],
-        map: new Map()
-      };
+      const sortedIndex = new SortedIndex();
       
       for (const [id, record] of data.entries()) {
         const value = this.getFieldValue(record, field);
         if (value !== undefined) {
-          sortedIndex.values.push({ value, id });
-          sortedIndex.map.set(id, value);
+          sortedIndex.insert(value, id);
         }
       }
       
-      sortedIndex.values.sort((a, b) => {
-        if (a.value < b.value) return -1;
-        if (a.value > b.value) return 1;
-        return 0;
-      });
-      
       this.indices.set(field, sortedIndex);
     } else {
       for (const [id, record] of data.entries()) {
@@ -42,8 +154,6 @@ class IndexManager {
       }
       this.indices.set(field, index);
     }
-    
-    return this;
   }
 
   isNumericOrDateField(data, field) {
@@ -66,14 +176,35 @@ class IndexManager {
     return samples > 0 && numericCount === samples;
   }
 
-  dropIndex(field) {
-    this.indices.delete(field);
+  // The text index is also found by the fields it covers, unless another
+  // index has their name
+  findIndexName(field, options = {}) {
+    const name = IndexManager.indexName(field, options);
+    const text = this.options.get(TEXT_INDEX);
+    if (!this.indices.has(name) && text && [].concat(field).join(',') === text.fields.join(',')) {
+      return TEXT_INDEX;
+    }
+    return name;
+  }
+
+  dropIndex(field, options = {}) {
+    const name = this.findIndexName(field, options);
+    this.indices.delete(name);
+    this.options.delete(name);
     return this;
   }
 
   updateIndices(id, oldRecord, newRecord) {
     for (const [field, index] of this.indices.entries()) {
-      if (index.type === 'sorted') {
+      if (index.type === 'compound') {
+        this.updateCompoundIndex(index, id, oldRecord, newRecord);
+      } else if (index.type === 'text') {
+        this.updateTextIndex(index, id, newRecord);
+      } else if (index.type === 'geo') {
+        this.updateGeoIndex(field, index, id, newRecord);
+      } else if (index.type === 'ttl') {
+        this.updateTTLIndex(index, id, newRecord);
+      } else if (index.type === 'sorted') {
         this.updateSortedIndex(field, index, id, oldRecord, newRecord);
       } else {
         this.updateHashIndex(field, index, id, oldRecord, newRecord);
@@ -81,6 +212,54 @@ class IndexManager {
     }
   }
 
+  // Missing fields are keyed as null so keys survive a JSON round trip
+  getCompoundKey(index, record) {
+    return index.fields.map(field => {
+      const value = this.getFieldValue(record, field);
+      return value === undefined ? null : value;
+    });
+  }
+
+  updateCompoundIndex(index, id, oldRecord, newRecord) {
+    if (oldRecord) {
+      this.removeFromCompound(index.root, this.getCompoundKey(index, oldRecord), id);
+    }
+    if (newRecord) {
+      this.addToCompound(index.root, this.getCompoundKey(index, newRecord), id);
+    }
+  }
+
+  addToCompound(root, key, id) {
+    let node = root;
+    for (let i = 0; i < key.length - 1; i++) {
+      if (!node.has(key[i])) {
+        node.set(key[i], new Map());
+      }
+      node = node.get(key[i]);
+    }
+    
+    const last = key[key.length - 1];
+    if (!node.has(last)) {
+      node.set(last, new Set());
+    }
+    node.get(last).add(id);
+  }
+
+  removeFromCompound(node, key, id, depth = 0) {
+    const child = node.get(key[depth]);
+    if (!child) return;
+    
+    if (depth === key.length - 1) {
+      child.delete(id);
+    } else {
+      this.removeFromCompound(child, key, id, depth + 1);
+    }
+    
+    if (child.size === 0) {
+      node.delete(key[depth]);
+    }
+  }
+
   updateHashIndex(field, index, id, oldRecord, newRecord) {
     if (oldRecord) {
       const oldValue = this.getFieldValue(oldRecord, field);
@@ -104,65 +283,48 @@ class IndexManager {
   }
 
   updateSortedIndex(field, index, id, oldRecord, newRecord) {
-    if (oldRecord || index.map.has(id)) {
-      const oldValue = oldRecord ? this.getFieldValue(oldRecord, field) : index.map.get(id);
-      if (oldValue !== undefined) {
-        const idx = this.binarySearch(index.values, oldValue, id);
-        if (idx >= 0) {
-          index.values.splice(idx, 1);
-        }
-        index.map.delete(id);
-      }
-    }
+    index.delete(id);
     
     if (newRecord) {
       const newValue = this.getFieldValue(newRecord, field);
       if (newValue !== undefined) {
-        const insertIdx = this.findInsertPosition(index.values, newValue);
-        index.values.splice(insertIdx, 0, { value: newValue, id });
-        index.map.set(id, newValue);
+        index.insert(newValue, id);
       }
     }
   }
 
-  binarySearch(arr, value, id) {
-    let left = 0;
-    let right = arr.length - 1;
-    
-    while (left <= right) {
-      const mid = Math.floor((left + right) / 2);
-      if (arr[mid].value === value && arr[mid].id === id) {
-        return mid;
-      }
-      if (arr[mid].value < value || (arr[mid].value === value && arr[mid].id < id)) {
-        left = mid + 1;
-      } else {
-        right = mid - 1;
-      }
+  updateTextIndex(index, id, newRecord) {
+    index.remove(id);
+    if (newRecord) {
+      index.add(id, newRecord);
     }
-    
-    return -1;
   }
 
-  findInsertPosition(arr, value) {
-    let left = 0;
-    let right = arr.length;
-    
-    while (left < right) {
-      const mid = Math.floor((left + right) / 2);
-      if (arr[mid].value <= value) {
-        left = mid + 1;
-      } else {
-        right = mid;
-      }
+  updateGeoIndex(field, index, id, newRecord) {
+    index.remove(id);
+    if (newRecord) {
+      index.add(id, this.getFieldValue(newRecord, field));
+    }
+  }
+
+  updateTTLIndex(index, id, newRecord) {
+    index.remove(id);
+    if (newRecord) {
+      index.add(id, newRecord);
     }
-    
-    return left;
   }
 
   removeFromIndices(id, record) {
     for (const [field, index] of this.indices.entries()) {
-      if (index.type === 'sorted') {
+      if (index.type === 'compound') {
+        this.updateCompoundIndex(index, id, record, null);
+      } else if (index.type === 'text') {
+        this.updateTextIndex(index, id, null);
+      } else if (index.type === 'geo') {
+        this.updateGeoIndex(field, index, id, null);
+      } else if (index.type === 'ttl') {
+        this.updateTTLIndex(index, id, null);
+      } else if (index.type === 'sorted') {
         this.updateSortedIndex(field, index, id, record, null);
       } else {
         this.updateHashIndex(field, index, id, record, null);
@@ -175,41 +337,242 @@ class IndexManager {
     if (!index) return null;
     
     if (index.type === 'sorted') {
-      const results = new Set();
-      for (const item of index.values) {
-        if (item.value === value) {
-          results.add(item.id);
-        } else if (item.value > value) {
-          break;
-        }
-      }
-      return results;
+      return new Set(index.ids({ min: value, max: value }));
     }
     
     return index.get(value) || new Set();
   }
 
-  findByRange(field, min, max, includeMin = true, includeMax = true) {
+  // Number of ids a lookup would return, used by the query planner. Counts
+  // sorted ranges no further than `limit`. `lookup` is either { values } or
+  // a range { min, max, includeMin, includeMax }.
+  countIds(field, lookup, limit = Infinity) {
     const index = this.indices.get(field);
-    if (!index || index.type !== 'sorted') return null;
+    if (!index) return 0;
+    
+    if (index.type !== 'sorted') {
+      let count = 0;
+      for (const value of lookup.values) {
+        const ids = index.get(value);
+        if (ids) count += ids.size;
+      }
+      return count;
+    }
+    
+    const ranges = lookup.values ? lookup.values.map(value => ({ min: value, max: value })) : [lookup];
+    let count = 0;
+    for (const range of ranges) {
+      const nodes = index.range(range);
+      while (!nodes.next().done) {
+        if (++count > limit) return count;
+      }
+    }
+    return count;
+  }
+
+  // Ids whose location satisfies the $near, $geoWithin or $geoIntersects
+  // operator in `condition`
+  findByGeo(field, condition) {
+    const index = this.indices.get(field);
+    if (!index || index.type !== 'geo') return null;
+    
+    return index.find(condition);
+  }
+
+  // `prefixValues` holds the candidate values for each leading field of the
+  // index; ids under every matching prefix are returned
+  findByCompound(name, prefixValues) {
+    const index = this.indices.get(name);
+    if (!index || index.type !== 'compound') return null;
     
     const results = new Set();
+    const collect = (node, depth) => {
+      if (node instanceof Set) {
+        for (const id of node) results.add(id);
+        return;
+      }
+      
+      if (depth < prefixValues.length) {
+        for (const value of prefixValues[depth]) {
+          const child = node.get(value);
+          if (child) collect(child, depth + 1);
+        }
+      } else {
+        for (const child of node.values()) collect(child, depth + 1);
+      }
+    };
+    
+    collect(index.root, 0);
+    return results;
+  }
+
+  // Picks the compound index whose leading fields are all constrained by
+  // equality, preferring the one that covers the most fields
+  findCompoundIndex(equalityFields) {
+    let best = null;
+    let bestCoverage = 0;
     
-    for (const item of index.values) {
-      const value = item.value;
+    for (const [name, index] of this.indices.entries()) {
+      if (index.type !== 'compound') continue;
       
-      if (min !== undefined) {
-        if (includeMin ? value < min : value <= min) continue;
+      let coverage = 0;
+      while (coverage < index.fields.length && equalityFields.has(index.fields[coverage])) {
+        coverage++;
       }
       
-      if (max !== undefined) {
-        if (includeMax ? value > max : value >= max) break;
+      if (coverage > bestCoverage) {
+        best = { name, fields: index.fields.slice(0, coverage) };
+        bestCoverage = coverage;
       }
+    }
+    
+    return best;
+  }
+
+  findByKey(name, values) {
+    const options = this.options.get(name);
+    if (options.fields.length > 1) {
+      return this.findByCompound(name, values.map(value => [value]));
+    }
+    return this.findByIndex(name, values[0]);
+  }
+
+  // Returns the first unique-constraint violation the given records would
+  // cause, or null. Records are matched against the index and each other.
+  findDuplicate(records, ignoreIds = new Set()) {
+    const batchIds = new Set(records.map(record => record._id));
+    
+    for (const [name, options] of this.options.entries()) {
+      if (!options.unique) continue;
       
-      results.add(item.id);
+      const seen = new Map();
+      for (const record of records) {
+        const values = options.fields.map(field => this.getFieldValue(record, field));
+        if (values.some(value => value === undefined || value === null)) continue;
+        
+        const key = JSON.stringify(values);
+        if (seen.has(key)) {
+          return { index: name, fields: options.fields, values, id: record._id };
+        }
+        seen.set(key, record._id);
+        
+        for (const id of this.findByKey(name, values)) {
+          if (!batchIds.has(id) && !ignoreIds.has(id)) {
+            return { index: name, fields: options.fields, values, id: record._id };
+          }
+        }
+      }
     }
     
-    return results;
+    return null;
+  }
+
+  findIndexDuplicate(name) {
+    const index = this.indices.get(name);
+    const options = this.options.get(name);
+    
+    if (index.type === 'sorted') {
+      let previous = null;
+      for (const node of index.range()) {
+        if (previous && previous.value === node.value) {
+          return { index: name, fields: options.fields, values: [node.value], id: node.id };
+        }
+        previous = node;
+      }
+      return null;
+    }
+    
+    const check = (node, prefix) => {
+      for (const [value, child] of node) {
+        const values = [...prefix, value];
+        if (child instanceof Set) {
+          if (child.size > 1 && !values.includes(undefined) && !values.includes(null)) {
+            return { index: name, fields: options.fields, values, id: child.values().next().value };
+          }
+        } else {
+          const duplicate = check(child, values);
+          if (duplicate) return duplicate;
+        }
+      }
+      return null;
+    };
+    
+    return check(index.type === 'compound' ? index.root : index, []);
+  }
+
+  findByRange(field, min, max, includeMin = true, includeMax = true) {
+    const index = this.indices.get(field);
+    if (!index || index.type !== 'sorted') return null;
+    
+    return new Set(index.ids({ min, max, includeMin, includeMax }));
+  }
+
+  // Yields ids of a sorted index in value order, starting past the
+  // { value, id } entry `after` when given, or returns null if the field
+  // has no sorted index
+  iterateSorted(field, reverse = false, after = null) {
+    const index = this.indices.get(field);
+    if (!index || index.type !== 'sorted') return null;
+    
+    return index.ids({ reverse, after });
+  }
+
+  serializeIndex(name) {
+    const index = this.indices.get(name);
+    const type = this.getIndexType(name);
+    const entries = [];
+    
+    if (type === 'sorted') {
+      for (const node of index.range()) {
+        entries.push([node.value, node.id]);
+      }
+    } else if (type === 'text' || type === 'geo' || type === 'ttl') {
+      for (const entry of index.serialize()) {
+        entries.push(entry);
+      }
+    } else if (type === 'compound') {
+      const walk = (node, prefix) => {
+        for (const [value, child] of node) {
+          if (child instanceof Set) {
+            entries.push([[...prefix, value], Array.from(child)]);
+          } else {
+            walk(child, [...prefix, value]);
+          }
+        }
+      };
+      walk(index.root, []);
+    } else {
+      for (const [value, ids] of index) {
+        entries.push([value, Array.from(ids)]);
+      }
+    }
+    
+    return { type, entries };
+  }
+
+  loadIndex(name, { type, entries }) {
+    const index = this.indices.get(name);
+    if (!index || this.getIndexType(name) !== type) {
+      throw new Error(`Index '${name}' does not match its serialized type '${type}'`);
+    }
+    
+    for (const entry of entries) {
+      if (type === 'sorted') {
+        index.insert(entry[0], entry[1]);
+      } else if (type === 'text') {
+        index.load(entry[0], entry[1], new Map(entry[2]));
+      } else if (type === 'geo') {
+        index.add(entry[0], { lat: entry[1], lng: entry[2] });
+      } else if (type === 'ttl') {
+        index.load(entry[0], entry[1]);
+      } else if (type === 'compound') {
+        for (const id of entry[1]) {
+          this.addToCompound(index.root, entry[0], id);
+        }
+      } else {
+        index.set(entry[0], new Set(entry[1]));
+      }
+    }
   }
 
   getFieldValue(record, field) {
@@ -227,6 +590,7 @@ class IndexManager {
 
   clear() {
     this.indices.clear();
+    this.options.clear();
     this.oldValues.clear();
   }
 
@@ -238,6 +602,24 @@ class IndexManager {
     return Array.from(this.indices.keys());
   }
 
+  getIndexDefinitions() {
+    return Array.from(this.options.entries()).map(([name, options]) => {
+      const definition = {
+        fields: options.fields,
+        unique: options.unique,
+        type: this.getIndexType(name)
+      };
+      if (definition.type === 'text') {
+        const index = this.indices.get(name);
+        definition.language = index.language;
+        definition.weights = index.weights;
+      } else if (definition.type === 'ttl') {
+        definition.expireAfterSeconds = this.indices.get(name).expireAfterSeconds;
+      }
+      return definition;
+    });
+  }
+
   getIndexType(field) {
     const index = this.indices.get(field);
     return index ? index.type || 'hash' : null;
@@ -0,0 +1,161 @@
+const { Transaction } = require('./Transaction');
+const { MigrationError } = require('./errors');
+const { getPath, setPath } = require('./utils/path');
+
+// Fields that every record gets from its table, not from its data
+const RECORD_FIELDS = ['_id', '_created', '_modified'];
+
+// Passed to a migration's up() and down(). Data changes, made through
+// table() or the helpers, go through one transaction that is committed when
+// the function returns. Index and table changes are queued and made after
+// the commit, in the order they were asked for.
+class Migration {
+  constructor(db, definition, direction) {
+    this.db = db;
+    this.version = definition.version;
+    this.description = definition.description || null;
+    this.direction = direction;
+    this.run = direction === 'up' ? definition.up : definition.down;
+    this.transaction = null;
+    this.operations = [];
+  }
+
+  async execute() {
+    this.transaction = new Transaction(this.db);
+    try {
+      await this.run(this);
+      await this.transaction.commit();
+      for (const operation of this.operations) {
+        await operation();
+      }
+    } catch (error) {
+      if (this.transaction.state === 'active') {
+        this.transaction.rollback();
+      }
+      throw new MigrationError(
+        `Migration ${this.version} failed (${this.direction}): ${error.message}`,
+        this.version,
+        error
+      );
+    }
+  }
+
+  // Transactional view of a table, see TransactionTable
+  table(name) {
+    return this.transaction.table(name);
+  }
+
+  async renameField(tableName, from, to) {
+    const updated = await this.table(tableName).updateMany({ [from]: { $exists: true } }, { $rename: { [from]: to } });
+    return updated.length;
+  }
+
+  // `value` may be a function of the record
+  async addDefault(tableName, field, value) {
+    const table = this.table(tableName);
+    const records = await table.find({ [field]: { $exists: false } }).execute();
+    for (const record of records) {
+      await table.update(record._id, { $set: { [field]: typeof value === 'function' ? value(record) : value } });
+    }
+    return records.length;
+  }
+
+  // With `fields`, those fields move to a record with the same _id in the
+  // target table; otherwise whole records move
+  async splitTable(sourceName, targetName, options = {}) {
+    const source = this.table(sourceName);
+    const target = this.table(targetName);
+    const records = await source.find(options.where || {}).execute();
+
+    let moved = 0;
+    for (const record of records) {
+      if (!options.fields) {
+        await this.put(target, record);
+        await source.delete(record._id);
+        moved++;
+        continue;
+      }
+
+      const part = { _id: record._id };
+      const unset = {};
+      for (const field of options.fields) {
+        const value = getPath(record, field);
+        if (value !== undefined) {
+          setPath(part, field, value);
+          unset[field] = '';
+        }
+      }
+      if (Object.keys(unset).length === 0) continue;
+
+      await this.put(target, part);
+      await source.update(record._id, { $unset: unset });
+      moved++;
+    }
+    return moved;
+  }
+
+  // The undo of splitTable(). Without `where`, the source table is dropped
+  // afterwards.
+  async mergeTables(sourceName, targetName, options = {}) {
+    const source = this.table(sourceName);
+    const target = this.table(targetName);
+    const records = await source.find(options.where || {}).execute();
+
+    for (const record of records) {
+      await this.put(target, record);
+      await source.delete(record._id);
+    }
+    if (!options.where) {
+      this.dropTable(sourceName);
+    }
+    return records.length;
+  }
+
+  // Inserts the record, or merges its fields into the one with its _id.
+  // Moved records keep their creation time.
+  async put(table, record) {
+    if (!(await table.get(record._id))) {
+      const inserted = table.insert(record);
+      inserted._created = record._created || inserted._created;
+      return inserted;
+    }
+
+    const fields = { ...record };
+    RECORD_FIELDS.forEach(field => delete fields[field]);
+    return table.update(record._id, fields);
+  }
+
+  createIndex(tableName, field, options = {}) {
+    this.operations.push(() => this.db.table(tableName).createIndex(field, options));
+    return this;
+  }
+
+  dropIndex(tableName, field, options = {}) {
+    this.operations.push(() => this.db.table(tableName).dropIndex(field, options));
+    return this;
+  }
+
+  dropTable(name) {
+    this.operations.push(() => this.db.dropTable(name));
+    return this;
+  }
+}
+
+function sortMigrations(migrations) {
+  const versions = new Set();
+  for (const migration of migrations) {
+    if (!Number.isInteger(migration.version) || migration.version < 1) {
+      throw new Error(`Migration versions must be positive integers, got ${migration.version}`);
+    }
+    if (typeof migration.up !== 'function') {
+      throw new Error(`Migration ${migration.version} has no up() function`);
+    }
+    if (versions.has(migration.version)) {
+      throw new Error(`Duplicate migration version: ${migration.version}`);
+    }
+    versions.add(migration.version);
+  }
+  return migrations.slice().sort((a, b) => a.version - b.version);
+}
+
+module.exports = { Migration, sortMigrations };
\ No newline at end of file
@@ -1,113 +1,184 @@
-const { createReadStream } = require('fs');
-const { createInterface } = require('readline');
+const { Readable } = require('stream');
+const { performance } = require('perf_hooks');
+const { compileQuery, isOperatorObject } = require('./utils/query');
+const { createComparator } = require('./utils/compare');
+const { getPath, setPath } = require('./utils/path');
+const { GEO_OPERATORS, toPoint, distance, parseNear } = require('./utils/geo');
+const { Aggregation, accumulate } = require('./Aggregation');
+const { LiveQuery } = require('./ChangeStream');
+
+const BATCH_SIZE = 1000;
+// Index entries read ahead at a time when paginating from a sorted index
+const SEEK_BATCH_SIZE = 100;
 
 class Query {
   constructor(data, indexManager) {
     this.data = data;
     this.indexManager = indexManager;
+    this.filters = [];
     this.conditions = [];
-    this.sortField = null;
-    this.sortOrder = 'asc';
+    this.sortKeys = [];
+    this.sortOptions = {};
     this.limitCount = null;
     this.skipCount = 0;
     this.selectedFields = null;
     this.table = null;
     this.indexableConditions = [];
     this.nonIndexableConditions = [];
+    this.equalityConditions = new Map();
+    this.overlay = null;
+    this.textSearch = null;
+    this.nearSearch = null;
+    this.lastPlan = null;
+    this.stats = null;
   }
 
   where(condition) {
-    if (typeof condition === 'function') {
-      this.conditions.push(condition);
-      this.nonIndexableConditions.push(condition);
-    } else if (typeof condition === 'object') {
-      const conditionFn = this.buildCondition(condition);
-      this.conditions.push(conditionFn);
-      this.analyzeCondition(condition);
+    if (typeof condition === 'function' || (typeof condition === 'object' && condition !== null)) {
+      this.filters.push(condition);
+      this.analyze();
     }
     return this;
   }
 
-  analyzeCondition(obj) {
-    for (const [key, value] of Object.entries(obj)) {
-      if (this.indexManager.hasIndex(key)) {
-        const indexType = this.indexManager.getIndexType(key);
-        
-        if (typeof value === 'object' && value !== null) {
-          const hasRangeOp = value.$gt !== undefined || value.$gte !== undefined || 
-                            value.$lt !== undefined || value.$lte !== undefined;
-          
-          if (indexType === 'sorted' && hasRangeOp) {
-            this.indexableConditions.push({ field: key, condition: value, type: 'range' });
-          } else if (value.$eq !== undefined || value.$in !== undefined) {
-            this.indexableConditions.push({ field: key, condition: value, type: 'exact' });
-          } else {
-            this.nonIndexableConditions.push(this.buildCondition({ [key]: value }));
-          }
-        } else {
-          this.indexableConditions.push({ field: key, condition: { $eq: value }, type: 'exact' });
-        }
-      } else {
-        this.nonIndexableConditions.push(this.buildCondition({ [key]: value }));
-      }
-    }
-  }
-
   and(condition) {
     return this.where(condition);
   }
 
+  // Combines with the most recent condition: find(a).and(b).or(c)
+  // matches a && (b || c)
   or(condition) {
-    const prevCondition = this.conditions.pop();
-    if (prevCondition) {
-      const orCondition = (record) => {
-        const cond = typeof condition === 'object' ? 
-          this.buildCondition(condition) : condition;
-        return prevCondition(record) || cond(record);
-      };
-      this.conditions.push(orCondition);
-      this.nonIndexableConditions.push(orCondition);
+    const previous = this.filters.pop();
+    if (previous === undefined) {
+      return this.where(condition);
     }
+    this.filters.push({ $or: [previous, condition] });
+    this.analyze();
     return this;
   }
 
-  buildCondition(obj) {
-    return (record) => {
-      for (const [key, value] of Object.entries(obj)) {
-        if (typeof value === 'object' && value !== null) {
-          if (!this.evaluateOperator(record[key], value)) {
-            return false;
-          }
-        } else if (record[key] !== value) {
-          return false;
+  // Rebuilds the compiled predicates and the index plan from the chained
+  // filters, which always read as one $and query
+  analyze() {
+    this.textSearch = null;
+    this.nearSearch = null;
+    this.conditions = this.filters.map(filter => compileQuery(filter, this.compileOptions()));
+    this.indexableConditions = [];
+    this.nonIndexableConditions = [];
+    this.equalityConditions = new Map();
+    
+    for (const filter of this.filters) {
+      this.analyzeCondition(filter);
+    }
+  }
+
+  // $text needs the table's text index to parse and match the search
+  compileOptions() {
+    return {
+      text: operand => {
+        const index = this.indexManager.getTextIndex();
+        if (!index) {
+          throw new Error('$text requires a text index on the table');
         }
+        const search = index.parse(operand);
+        return record => index.matches(record, search);
       }
-      return true;
     };
   }
 
-  evaluateOperator(fieldValue, operator) {
-    if (operator.$eq !== undefined) return fieldValue === operator.$eq;
-    if (operator.$ne !== undefined) return fieldValue !== operator.$ne;
-    if (operator.$gt !== undefined) return fieldValue > operator.$gt;
-    if (operator.$gte !== undefined) return fieldValue >= operator.$gte;
-    if (operator.$lt !== undefined) return fieldValue < operator.$lt;
-    if (operator.$lte !== undefined) return fieldValue <= operator.$lte;
-    if (operator.$in !== undefined) return operator.$in.includes(fieldValue);
-    if (operator.$nin !== undefined) return !operator.$nin.includes(fieldValue);
-    if (operator.$regex !== undefined) {
-      const regex = new RegExp(operator.$regex, operator.$options || '');
-      return regex.test(fieldValue);
+  analyzeCondition(condition) {
+    if (typeof condition === 'function') {
+      this.nonIndexableConditions.push(condition);
+      return;
     }
-    if (operator.$exists !== undefined) {
-      return (fieldValue !== undefined) === operator.$exists;
+    
+    for (const [key, value] of Object.entries(condition)) {
+      if (key === '$and' && Array.isArray(value)) {
+        value.forEach(part => this.analyzeCondition(part));
+        continue;
+      }
+      
+      if (key === '$text') {
+        if (this.textSearch) {
+          throw new Error('A query can only have one $text condition');
+        }
+        this.textSearch = this.indexManager.getTextIndex().parse(value);
+      }
+      
+      if (key.startsWith('$')) {
+        this.nonIndexableConditions.push(compileQuery({ [key]: value }, this.compileOptions()));
+        continue;
+      }
+      
+      const isExactValue = isScalar(value);
+      const operators = isOperatorObject(value) ? Object.keys(value) : [];
+      const equalValues = isExactValue ? [value] :
+        operators.includes('$eq') ? [value.$eq] :
+        operators.includes('$in') && Array.isArray(value.$in) ? value.$in : null;
+      const isScalarEquality = equalValues !== null && equalValues.every(isScalar);
+      
+      if (isScalarEquality) {
+        this.equalityConditions.set(key, equalValues);
+      }
+      
+      const indexType = this.indexManager.getIndexType(key);
+      const hasRangeOp = ['$gt', '$gte', '$lt', '$lte'].some(op => operators.includes(op));
+      let indexed = null;
+      
+      if (operators.includes('$near')) {
+        if (this.nearSearch) {
+          throw new Error('A query can only have one $near condition');
+        }
+        this.nearSearch = { field: key, point: parseNear(value.$near, value).point };
+      }
+      
+      if (indexType === 'geo') {
+        if (GEO_OPERATORS.some(op => operators.includes(op))) {
+          indexed = { field: key, condition: value, type: 'geo' };
+        }
+      } else if (indexType === 'hash' || indexType === 'sorted') {
+        if (isScalarEquality) {
+          indexed = { field: key, condition: isExactValue ? { $eq: value } : value, type: 'exact' };
+        } else if (indexType === 'sorted' && hasRangeOp) {
+          indexed = { field: key, condition: value, type: 'range' };
+        }
+      }
+      
+      // A hash lookup answers a plain equality exactly; anything else only
+      // narrows the candidates and is re-checked against each record
+      const predicate = compileQuery({ [key]: value });
+      const exact = indexed !== null && indexed.type === 'exact' && indexType === 'hash' &&
+        (isExactValue || operators.length === 1);
+      
+      if (indexed) {
+        this.indexableConditions.push({ ...indexed, indexType, exact, predicate });
+      }
+      if (!exact) {
+        this.nonIndexableConditions.push(predicate);
+      }
     }
-    return true;
   }
 
-  sort(field, order = 'asc') {
-    this.sortField = field;
-    this.sortOrder = order.toLowerCase();
+  // sort('age', 'desc'), sort({ lastName: 1, age: -1 }) or either form
+  // followed by { locale, numeric, caseInsensitive, nulls }
+  sort(field, order = 'asc', options = {}) {
+    if (typeof field === 'object' && field !== null) {
+      this.sortKeys = Object.entries(field).map(([key, direction]) => ({
+        field: key,
+        direction: sortDirection(direction)
+      }));
+      this.sortOptions = typeof order === 'object' ? order : {};
+    } else if (typeof order === 'object') {
+      this.sortKeys = [{ field, direction: 1 }];
+      this.sortOptions = order;
+    } else {
+      this.sortKeys = [{ field, direction: sortDirection(order) }];
+      this.sortOptions = options;
+    }
+    
+    if (this.sortOptions.nulls !== undefined && !['first', 'last'].includes(this.sortOptions.nulls)) {
+      throw new Error(`Invalid nulls ordering: ${this.sortOptions.nulls}. Expected 'first' or 'last'`);
+    }
     return this;
   }
 
@@ -126,89 +197,176 @@ class Query {
     return this;
   }
 
-  getIndexCandidateSet() {
-    if (this.indexableConditions.length === 0) return null;
+  // Expired records stay in a table with a TTL index until its next save,
+  // but are never returned
+  withExpiryFilter(filters) {
+    if (!this.table || !this.indexManager.getTTLIndex()) return filters;
     
-    let candidateSet = null;
-    let smallestSet = Infinity;
+    const now = Date.now();
+    return [...filters, record => !this.table.isExpired(record, now)];
+  }
+
+  getIndexCandidateSet() {
+    return this.plan().ids;
+  }
+
+  // Picks the most selective index for the query. Every index that could
+  // serve a condition is costed by the number of ids it would return; only
+  // the cheapest is read, and the conditions of the others become filters.
+  plan() {
+    const plan = {
+      strategy: null,
+      candidates: [],
+      index: null,
+      estimate: null,
+      ids: null,
+      scores: null,
+      filters: this.withExpiryFilter(this.overlay ? this.conditions : [...this.nonIndexableConditions])
+    };
     
-    for (const { field, condition, type } of this.indexableConditions) {
-      let ids = new Set();
+    // Indices don't know about overlaid records, so overlaid queries scan
+    if (!this.overlay) {
+      if (this.textSearch) {
+        plan.scores = this.indexManager.getTextIndex().search(this.textSearch);
+        plan.candidates.push({ index: '$text', type: 'text', estimate: plan.scores.size, ids: new Set(plan.scores.keys()) });
+      }
       
-      if (type === 'range') {
-        const min = condition.$gt !== undefined ? condition.$gt : condition.$gte;
-        const max = condition.$lt !== undefined ? condition.$lt : condition.$lte;
-        const includeMin = condition.$gte !== undefined;
-        const includeMax = condition.$lte !== undefined;
-        
-        const rangeIds = this.indexManager.findByRange(field, min, max, includeMin, includeMax);
-        if (rangeIds) ids = rangeIds;
-      } else if (condition.$eq !== undefined) {
-        const indexIds = this.indexManager.findByIndex(field, condition.$eq);
-        if (indexIds) ids = new Set(indexIds);
-      } else if (condition.$in !== undefined) {
-        for (const value of condition.$in) {
-          const indexIds = this.indexManager.findByIndex(field, value);
-          if (indexIds) {
-            for (const id of indexIds) ids.add(id);
-          }
+      const compound = this.indexManager.findCompoundIndex(new Set(this.equalityConditions.keys()));
+      if (compound) {
+        const prefixValues = compound.fields.map(field => this.equalityConditions.get(field));
+        const ids = this.indexManager.findByCompound(compound.name, prefixValues);
+        plan.candidates.push({ index: compound.name, type: 'compound', estimate: ids.size, ids });
+      }
+      
+      // Hash counts are exact and cheap, so they go first and bound how far
+      // sorted ranges need to be counted
+      const conditions = [...this.indexableConditions].sort((a, b) =>
+        (a.indexType === 'sorted' ? 1 : 0) - (b.indexType === 'sorted' ? 1 : 0));
+      
+      for (const condition of conditions) {
+        if (condition.type === 'geo') {
+          const ids = this.indexManager.findByGeo(condition.field, condition.condition);
+          plan.candidates.push({ index: condition.field, type: 'geo', estimate: ids.size, ids, condition });
+          continue;
         }
+        
+        const best = plan.candidates.reduce((min, candidate) => Math.min(min, candidate.estimate), Infinity);
+        const lookup = this.getLookup(condition);
+        plan.candidates.push({
+          index: condition.field,
+          type: condition.indexType,
+          estimate: this.indexManager.countIds(condition.field, lookup, best),
+          condition,
+          lookup
+        });
       }
       
-      if (candidateSet === null) {
-        candidateSet = ids;
-        smallestSet = ids.size;
-      } else {
-        const intersection = new Set();
-        for (const id of ids) {
-          if (candidateSet.has(id)) intersection.add(id);
+      const chosen = plan.candidates.reduce((best, candidate) =>
+        (best === null || candidate.estimate < best.estimate ? candidate : best), null);
+      
+      if (chosen) {
+        plan.index = chosen.index;
+        plan.estimate = chosen.estimate;
+        plan.ids = chosen.ids || this.findIds(chosen.condition.field, chosen.lookup);
+        
+        for (const condition of this.indexableConditions) {
+          if (condition !== chosen.condition && condition.exact) {
+            plan.filters.push(condition.predicate);
+          }
         }
-        candidateSet = intersection;
-        if (candidateSet.size === 0) break;
       }
     }
     
-    return candidateSet;
+    if (plan.ids) {
+      plan.strategy = 'index';
+    } else if (this.table && this.table.data.size < this.table.metadata.recordCount) {
+      plan.strategy = 'fileScan';
+    } else {
+      plan.strategy = 'memoryScan';
+    }
+    
+    return plan;
   }
 
-  async execute() {
-    let results = [];
+  getLookup({ condition, type }) {
+    if (type === 'range') {
+      return {
+        min: condition.$gt !== undefined ? condition.$gt : condition.$gte,
+        max: condition.$lt !== undefined ? condition.$lt : condition.$lte,
+        includeMin: condition.$gte !== undefined,
+        includeMax: condition.$lte !== undefined
+      };
+    }
+    return { values: condition.$eq !== undefined ? [condition.$eq] : condition.$in };
+  }
+
+  findIds(field, lookup) {
+    if (!lookup.values) {
+      return this.indexManager.findByRange(field, lookup.min, lookup.max, lookup.includeMin, lookup.includeMax);
+    }
     
-    const candidateSet = this.getIndexCandidateSet();
+    if (lookup.values.length === 1) {
+      return new Set(this.indexManager.findByIndex(field, lookup.values[0]));
+    }
     
-    if (candidateSet !== null) {
-      if (candidateSet.size === 0) {
-        return [];
+    const ids = new Set();
+    for (const value of lookup.values) {
+      for (const id of this.indexManager.findByIndex(field, value)) {
+        ids.add(id);
       }
-      results = await this.executeWithIndex(candidateSet);
-    } else if (this.table && (this.table.data.size < this.table.metadata.recordCount)) {
-      results = await this.streamResults();
-    } else {
-      const pendingUpdates = this.table ? this.table.pendingUpdates : new Map();
-      const pendingDeletes = this.table ? this.table.pendingDeletes : new Set();
-      
-      for (const [id, record] of this.data) {
-        if (!pendingDeletes.has(id)) {
-          const actualRecord = pendingUpdates.get(id) || record;
-          results.push(actualRecord);
-        }
+    }
+    return ids;
+  }
+
+  async execute() {
+    const started = performance.now();
+    const results = await this.run();
+    this.reportIfSlow(performance.now() - started);
+    return results;
+  }
+
+  async run() {
+    // Without a sort every record can be decided on its own, so the cursor
+    // stops reading as soon as the limit is reached
+    if (!this.overlay && this.sortKeys.length === 0 && !this.nearSearch) {
+      const results = [];
+      for await (const record of this.cursor()) {
+        results.push(record);
       }
-      
-      if (this.table && this.table.pendingWrites.length > 0) {
-        for (const record of this.table.pendingWrites) {
-          if (!pendingDeletes.has(record._id)) {
-            results.push(record);
-          }
-        }
+      return results;
+    }
+    
+    const plan = this.start();
+    let results = [];
+    for await (const batch of this.scanBatches(plan, Infinity)) {
+      this.stats.scanned += batch.length;
+      for (const record of batch) {
+        results.push(record);
       }
     }
     
-    for (const condition of this.nonIndexableConditions) {
+    if (this.overlay) {
+      results = this.applyOverlay(results);
+    }
+    
+    if (this.textSearch) {
+      results = results.map(record => this.withScore(record, plan));
+    }
+    
+    for (const condition of plan.filters) {
       results = results.filter(condition);
     }
     
-    if (this.sortField) {
-      this.sortResults(results);
+    if (this.sortKeys.length > 0) {
+      const indexSorted = this.sortByIndex(results);
+      if (indexSorted) {
+        results = indexSorted;
+        this.stats.sortedByIndex = true;
+      } else {
+        results = this.sortResults(results);
+      }
+    } else if (this.nearSearch) {
+      results = this.sortResults(results, this.distanceComparator());
     }
     
     if (this.skipCount > 0) {
@@ -223,73 +381,271 @@ class Query {
       results = this.projectFields(results);
     }
     
+    this.stats.returned = results.length;
     return results;
   }
 
+  // Plans the query and resets the counters explain() reports
+  start(plan = this.plan()) {
+    this.lastPlan = plan;
+    this.stats = { scanned: 0, returned: 0, sortedByIndex: false };
+    return plan;
+  }
+
+  // Yields matching records one at a time. Unsorted queries read the table
+  // in batches and hold at most one batch in memory; sorted and $near
+  // queries and queries inside a transaction have to see every result first.
+  async *cursor(plan) {
+    if (this.overlay || this.sortKeys.length > 0 || this.nearSearch) {
+      yield* await this.execute();
+      return;
+    }
+    
+    plan = this.start(plan);
+    if (this.limitCount === 0) return;
+    
+    let skipped = 0;
+    
+    for await (const batch of this.scanBatches(plan)) {
+      for (let record of batch) {
+        this.stats.scanned++;
+        if (this.textSearch) record = this.withScore(record, plan);
+        if (!plan.filters.every(condition => condition(record))) continue;
+        
+        if (skipped < this.skipCount) {
+          skipped++;
+          continue;
+        }
+        
+        yield this.selectedFields ? this.projectRecord(record) : record;
+        
+        this.stats.returned++;
+        if (this.limitCount !== null && this.stats.returned >= this.limitCount) return;
+      }
+    }
+  }
+
+  stream() {
+    return Readable.from(this.cursor());
+  }
+
+  [Symbol.asyncIterator]() {
+    return this.cursor();
+  }
+
+  // Candidate records in batches: from the index when one applies, from
+  // the .jsonl file when the table isn't fully in memory, and from memory
+  // otherwise. Candidates still need the non-indexable conditions applied.
+  async *scanBatches(plan, batchSize = BATCH_SIZE) {
+    const candidateSet = plan.ids;
+    
+    if (candidateSet !== null) {
+      if (candidateSet.size <= batchSize) {
+        yield await this.executeWithIndex(candidateSet);
+        return;
+      }
+      
+      let batch = [];
+      for (const id of candidateSet) {
+        batch.push(id);
+        if (batch.length >= batchSize) {
+          yield await this.executeWithIndex(batch);
+          batch = [];
+        }
+      }
+      if (batch.length > 0) {
+        yield await this.executeWithIndex(batch);
+      }
+      return;
+    }
+    
+    if (plan.strategy === 'fileScan') {
+      yield* this.streamBatches();
+      return;
+    }
+    
+    const pendingUpdates = this.table ? this.table.pendingUpdates : new Map();
+    const pendingDeletes = this.table ? this.table.pendingDeletes : new Set();
+    let batch = [];
+    
+    for (const [id, record] of this.data) {
+      if (!pendingDeletes.has(id)) {
+        batch.push(pendingUpdates.get(id) || record);
+        if (batch.length >= BATCH_SIZE) {
+          yield batch;
+          batch = [];
+        }
+      }
+    }
+    
+    if (this.table) {
+      for (const record of this.table.pendingWrites) {
+        if (!pendingDeletes.has(record._id)) {
+          batch.push(pendingUpdates.get(record._id) || record);
+          if (batch.length >= BATCH_SIZE) {
+            yield batch;
+            batch = [];
+          }
+        }
+      }
+    }
+    
+    if (batch.length > 0) {
+      yield batch;
+    }
+  }
+
+  // Records matched by $text carry their relevance as _score. Without an
+  // index lookup, as in transactions, it is computed from the record.
+  withScore(record, plan) {
+    const score = plan.scores ?
+      plan.scores.get(record._id) || 0 :
+      this.indexManager.getTextIndex().score(record, this.textSearch);
+    return { ...record, _score: score };
+  }
+
+  applyOverlay(results) {
+    const merged = [];
+    const seen = new Set();
+    
+    for (const record of results) {
+      if (this.overlay.has(record._id)) {
+        seen.add(record._id);
+        const overlaid = this.overlay.get(record._id);
+        if (overlaid) merged.push(overlaid);
+      } else {
+        merged.push(record);
+      }
+    }
+    
+    for (const [id, record] of this.overlay) {
+      if (record && !seen.has(id)) {
+        merged.push(record);
+      }
+    }
+    
+    return merged;
+  }
+
   async executeWithIndex(candidateSet) {
     const results = [];
     const pendingUpdates = this.table ? this.table.pendingUpdates : new Map();
     const pendingDeletes = this.table ? this.table.pendingDeletes : new Set();
     
+    const missing = [];
+    
     for (const id of candidateSet) {
       if (pendingDeletes.has(id)) continue;
       
-      let record = pendingUpdates.get(id) || this.data.get(id);
-      if (!record && this.table) {
-        record = await this.table.loadRecordById(id);
-      }
+      const record = pendingUpdates.get(id) || this.data.get(id);
       if (record) {
         results.push(record);
+      } else if (this.table) {
+        missing.push(id);
       }
     }
     
+    if (missing.length > 0) {
+      const loaded = await this.table.loadRecordsByIds(missing);
+      results.push(...loaded.values());
+    }
+    
     return results;
   }
 
-  sortResults(results) {
-    if (this.limitCount && this.skipCount === 0 && this.limitCount < results.length / 10) {
-      this.heapSort(results, this.limitCount);
-    } else {
-      results.sort((a, b) => {
-        const aVal = a[this.sortField];
-        const bVal = b[this.sortField];
-        
-        if (aVal === bVal) return 0;
-        
-        const comparison = aVal < bVal ? -1 : 1;
-        return this.sortOrder === 'asc' ? comparison : -comparison;
-      });
+  // Reads the order straight off a sorted index instead of comparing
+  // records, when walking the index is cheaper than sorting the results.
+  // Only single-key sorts without collation match the index order.
+  sortByIndex(results) {
+    if (this.overlay || this.sortKeys.length !== 1) return null;
+    
+    const { locale, numeric, caseInsensitive, nulls } = this.sortOptions;
+    if (locale || numeric || caseInsensitive) return null;
+    
+    const { field, direction } = this.sortKeys[0];
+    const index = this.indexManager.indices.get(field);
+    if (!index || index.type !== 'sorted') return null;
+    if (results.length * Math.log2(results.length + 1) < index.size) return null;
+    
+    // Records without the field aren't in the index; like nulls they sort
+    // as the smallest values unless `nulls` says otherwise
+    const missing = [];
+    const byId = new Map();
+    for (const record of results) {
+      const value = index.get(record._id);
+      if (value === undefined || value === null) {
+        missing.push(record);
+      } else {
+        byId.set(record._id, record);
+      }
+    }
+    
+    const missingFirst = nulls ? nulls === 'first' : direction === 1;
+    const needed = this.limitCount !== null ? this.skipCount + this.limitCount : Infinity;
+    const sorted = missingFirst ? missing : [];
+    
+    for (const id of this.indexManager.iterateSorted(field, direction === -1)) {
+      if (sorted.length >= needed || byId.size === 0) break;
+      const record = byId.get(id);
+      if (record) {
+        sorted.push(record);
+        byId.delete(id);
+      }
     }
+    
+    if (!missingFirst && sorted.length < needed) {
+      for (const record of missing) {
+        sorted.push(record);
+      }
+    }
+    
+    return sorted;
   }
 
-  heapSort(arr, k) {
-    const compare = (a, b) => {
-      const aVal = a[this.sortField];
-      const bVal = b[this.sortField];
-      
-      if (aVal === bVal) return 0;
-      
-      const comparison = aVal < bVal ? -1 : 1;
-      return this.sortOrder === 'desc' ? comparison : -comparison;
-    };
+  // Returns the sorted results; when only the first skip + limit records
+  // are needed, a bounded heap selects them without sorting everything
+  sortResults(results, compare = createComparator(this.sortKeys, this.sortOptions)) {
+    const needed = this.limitCount !== null ? this.skipCount + this.limitCount : null;
     
+    if (needed !== null && needed < results.length / 10) {
+      return this.heapSort(results, needed, compare);
+    }
+    return results.sort(compare);
+  }
+
+  // Without an explicit sort, $near results come nearest first
+  distanceComparator() {
+    const { field, point } = this.nearSearch;
+    const distances = new Map();
+    const distanceOf = record => {
+      if (!distances.has(record)) {
+        const location = toPoint(getPath(record, field));
+        distances.set(record, location ? distance(point, location) : Infinity);
+      }
+      return distances.get(record);
+    };
+    return (a, b) => distanceOf(a) - distanceOf(b);
+  }
+
+  // Keeps the k smallest records in a max-heap: the root is the largest
+  // one kept, and is replaced whenever a smaller record comes along
+  heapSort(arr, k, compare) {
+    const reversed = (a, b) => compare(b, a);
     const heap = [];
     
-    for (let i = 0; i < arr.length; i++) {
+    if (k === 0) return heap;
+    
+    for (const record of arr) {
       if (heap.length < k) {
-        heap.push(arr[i]);
-        this.bubbleUp(heap, heap.length - 1, compare);
-      } else if (compare(arr[i], heap[0]) < 0) {
-        heap[0] = arr[i];
-        this.bubbleDown(heap, 0, compare);
+        heap.push(record);
+        this.bubbleUp(heap, heap.length - 1, reversed);
+      } else if (compare(record, heap[0]) < 0) {
+        heap[0] = record;
+        this.bubbleDown(heap, 0, reversed);
       }
     }
     
-    heap.sort((a, b) => -compare(a, b));
-    
-    for (let i = 0; i < k && i < heap.length; i++) {
-      arr[i] = heap[i];
-    }
+    return heap.sort(compare);
   }
 
   bubbleUp(heap, index, compare) {
@@ -325,66 +681,64 @@ class Query {
   }
 
   projectFields(results) {
-    return results.map(record => {
-      const selected = {};
-      for (const field of this.selectedFields) {
-        if (field in record) {
-          selected[field] = record[field];
-        }
+    return results.map(record => this.projectRecord(record));
+  }
+
+  projectRecord(record) {
+    const selected = {};
+    for (const field of this.selectedFields) {
+      if (field in record) {
+        selected[field] = record[field];
       }
-      return selected;
-    });
+    }
+    return selected;
   }
 
-  async streamResults() {
-    const results = [];
-    let processedCount = 0;
-    const maxToProcess = this.limitCount ? 
-      (this.limitCount + this.skipCount) * 2 : Infinity;
+  // Reads the .jsonl file for tables that don't fit in memory. Records
+  // waiting to be appended are taken from a snapshot at the start, and
+  // skipped if a flush puts them in the file while it is being read.
+  async *streamBatches() {
+    const pendingUpdates = this.table.pendingUpdates;
+    const pendingDeletes = this.table.pendingDeletes;
+    const deletedIds = this.table.deletedIds;
+    const pendingWrites = [...this.table.pendingWrites];
+    const pendingIds = new Set(pendingWrites.map(record => record._id));
+    let batch = [];
     
-    const pendingUpdates = this.table ? this.table.pendingUpdates : new Map();
-    const pendingDeletes = this.table ? this.table.pendingDeletes : new Set();
-    
-    try {
-      const fileStream = createReadStream(this.table.filePath);
-      const rl = createInterface({
-        input: fileStream,
-        crlfDelay: Infinity
-      });
-
-      for await (const line of rl) {
-        if (line.trim() && processedCount < maxToProcess) {
-          try {
-            const record = JSON.parse(line);
-            if (!pendingDeletes.has(record._id)) {
-              const actualRecord = pendingUpdates.get(record._id) || record;
-              results.push(actualRecord);
-              processedCount++;
-            }
-          } catch (parseError) {
-            continue;
-          }
-        }
-        if (processedCount >= maxToProcess) break;
-      }
+    for await (const { record } of this.table.readFileRecords()) {
+      const id = record._id;
+      if (pendingDeletes.has(id) || deletedIds.has(id) || pendingIds.has(id)) continue;
       
-      rl.close();
-      fileStream.destroy();
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        throw error;
+      batch.push(pendingUpdates.get(id) || record);
+      if (batch.length >= BATCH_SIZE) {
+        yield batch;
+        batch = [];
       }
     }
     
-    if (this.table && this.table.pendingWrites.length > 0) {
-      for (const record of this.table.pendingWrites) {
-        if (!pendingDeletes.has(record._id)) {
-          results.push(record);
+    for (const record of pendingWrites) {
+      if (!pendingDeletes.has(record._id)) {
+        batch.push(pendingUpdates.get(record._id) || record);
+        if (batch.length >= BATCH_SIZE) {
+          yield batch;
+          batch = [];
         }
       }
     }
     
-    return results;
+    if (batch.length > 0) {
+      yield batch;
+    }
+  }
+
+  // Emits 'results' with the current results now and after every change
+  // that affects them
+  live(listener) {
+    const live = new LiveQuery(this);
+    if (listener) {
+      live.on('results', listener);
+    }
+    return live;
   }
 
   async first() {
@@ -393,24 +747,221 @@ class Query {
     return results.length > 0 ? results[0] : null;
   }
 
+  // The sort gets _id as a final tiebreaker, so every record has a unique
+  // position to encode in the cursor
+  async paginate({ after = null, limit = 20 } = {}) {
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error('Page limit must be a positive integer');
+    }
+    
+    const keys = this.sortKeys.filter(key => key.field !== '_id');
+    const idKey = this.sortKeys.find(key => key.field === '_id');
+    const direction = idKey ? idKey.direction : keys.length > 0 ? keys[keys.length - 1].direction : 1;
+    keys.push({ field: '_id', direction });
+    
+    const position = after === null ? null : decodeCursor(after, keys);
+    const selectedFields = this.selectedFields;
+    const started = performance.now();
+    
+    this.sortKeys = keys;
+    this.skipCount = 0;
+    this.limitCount = limit + 1;
+    this.selectedFields = null;
+    
+    let results = await this.seekByIndex(position);
+    if (!results) {
+      if (position) {
+        const compare = createComparator(keys, this.sortOptions);
+        const last = {};
+        keys.forEach(({ field }, i) => setPath(last, field, position[i]));
+        this.where(record => compare(record, last) > 0);
+      }
+      results = await this.run();
+    }
+    
+    this.selectedFields = selectedFields;
+    this.reportIfSlow(performance.now() - started);
+    
+    const hasMore = results.length > limit;
+    const items = results.slice(0, limit);
+    const nextCursor = hasMore ? encodeCursor(items[items.length - 1], keys) : null;
+    
+    return {
+      items: selectedFields ? this.projectFields(items) : items,
+      nextCursor,
+      hasMore
+    };
+  }
+
+  // Walks a sorted index from the cursor position instead of sorting every
+  // match. Records with a missing or null sort value aren't in the index,
+  // so this only applies where they can't fall inside the page; otherwise,
+  // and whenever the index runs out before the page is full, it returns
+  // null and the caller sorts.
+  async seekByIndex(position) {
+    const [key] = this.sortKeys;
+    const { locale, numeric, caseInsensitive, nulls } = this.sortOptions;
+    if (this.overlay || this.textSearch || this.sortKeys.length !== 2 || key.field === '_id') return null;
+    if (locale || numeric || caseInsensitive) return null;
+    if (this.sortKeys[1].direction !== key.direction) return null;
+    
+    const index = this.indexManager.indices.get(key.field);
+    if (!index || index.type !== 'sorted') return null;
+    
+    const missingFirst = nulls ? nulls === 'first' : key.direction === 1;
+    const value = position ? position[0] : null;
+    if (position ? value === null : missingFirst) return null;
+    
+    const plan = this.start({
+      strategy: 'index',
+      candidates: [],
+      index: key.field,
+      estimate: null,
+      ids: null,
+      filters: this.withExpiryFilter(this.conditions)
+    });
+    this.stats.sortedByIndex = true;
+    
+    const ids = this.indexManager.iterateSorted(
+      key.field,
+      key.direction === -1,
+      position ? { value, id: position[1] } : null
+    );
+    const results = [];
+    let batch = [];
+    let exhausted = false;
+    
+    while (results.length < this.limitCount && !exhausted) {
+      const next = ids.next();
+      exhausted = next.done;
+      if (!exhausted && index.get(next.value) !== null) {
+        batch.push(next.value);
+      }
+      if (batch.length < Math.max(this.limitCount - results.length, SEEK_BATCH_SIZE) && !exhausted) continue;
+      
+      const records = new Map((await this.executeWithIndex(batch)).map(record => [record._id, record]));
+      for (const id of batch) {
+        const record = records.get(id);
+        if (!record) continue;
+        this.stats.scanned++;
+        if (plan.filters.every(condition => condition(record))) {
+          results.push(record);
+          if (results.length >= this.limitCount) break;
+        }
+      }
+      batch = [];
+    }
+    
+    if (results.length < this.limitCount && !missingFirst) return null;
+    
+    this.stats.returned = results.length;
+    return results;
+  }
+
+  // Offset pagination with totals, for UIs that jump to a page number
+  async page(number, size = 20) {
+    if (!Number.isInteger(number) || number < 1) {
+      throw new Error('Page number must be a positive integer');
+    }
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error('Page size must be a positive integer');
+    }
+    
+    // The total doesn't depend on the order, so count without sorting
+    const sortKeys = this.sortKeys;
+    this.sortKeys = [];
+    this.skipCount = 0;
+    this.limitCount = null;
+    const total = await this.count();
+    
+    this.sortKeys = sortKeys;
+    this.skipCount = (number - 1) * size;
+    this.limitCount = size;
+    const items = total > this.skipCount ? await this.execute() : [];
+    
+    return {
+      items,
+      page: number,
+      pageSize: size,
+      total,
+      totalPages: Math.ceil(total / size),
+      hasMore: number * size < total
+    };
+  }
+
   async count() {
-    const candidateSet = this.getIndexCandidateSet();
+    const started = performance.now();
+    const count = await this.countMatches();
+    this.reportIfSlow(performance.now() - started);
+    return count;
+  }
+
+  async countMatches() {
+    const plan = this.plan();
+    const candidateSet = plan.ids;
     
-    if (candidateSet !== null && this.nonIndexableConditions.length === 0) {
+    if (candidateSet !== null && plan.filters.length === 0) {
+      this.start(plan);
+      let count = candidateSet.size;
       if (this.table) {
-        let count = 0;
+        count = 0;
         for (const id of candidateSet) {
           if (!this.table.pendingDeletes.has(id)) {
             count++;
           }
         }
-        return count;
       }
-      return candidateSet.size;
+      this.stats.returned = count;
+      return count;
     }
     
-    const results = await this.execute();
-    return results.length;
+    let count = 0;
+    const cursor = this.cursor(plan);
+    while (!(await cursor.next()).done) {
+      count++;
+    }
+    return count;
+  }
+
+  // Runs the query and reports how it was executed
+  async explain() {
+    const started = performance.now();
+    await this.run();
+    const elapsed = performance.now() - started;
+    const plan = this.lastPlan;
+    
+    return {
+      table: this.table ? this.table.name : null,
+      strategy: plan.strategy,
+      indexesConsidered: plan.candidates.map(({ index, type, estimate }) => ({ index, type, estimate })),
+      indexUsed: plan.index,
+      estimatedCandidates: plan.estimate,
+      actualCandidates: plan.ids ? plan.ids.size : null,
+      scanned: this.stats.scanned,
+      returned: this.stats.returned,
+      sortedByIndex: this.stats.sortedByIndex,
+      executionTimeMs: Math.round(elapsed * 1000) / 1000
+    };
+  }
+
+  reportIfSlow(duration) {
+    const db = this.table && this.table.db;
+    if (!db || typeof db.options.slowQueryThreshold !== 'number' || duration < db.options.slowQueryThreshold) {
+      return;
+    }
+    
+    db.emit('slowQuery', {
+      table: this.table.name,
+      filter: this.filters.map(filter => (typeof filter === 'function' ? '[Function]' : filter)),
+      sort: this.sortKeys.length > 0 ? this.sortKeys : null,
+      skip: this.skipCount,
+      limit: this.limitCount,
+      strategy: this.lastPlan.strategy,
+      indexUsed: this.lastPlan.index,
+      scanned: this.stats.scanned,
+      returned: this.stats.returned,
+      durationMs: Math.round(duration * 1000) / 1000
+    });
   }
 
   async distinct(field) {
@@ -425,27 +976,64 @@ class Query {
     return Array.from(values);
   }
 
+  // Takes a pipeline of stages, or the original { name: { $sum: 'field' } }
+  // summary of the whole result set
   async aggregate(operations) {
+    if (Array.isArray(operations)) {
+      return await new Aggregation(this.table, operations).execute(this);
+    }
+    
     const results = await this.execute();
     const aggregated = {};
     
     for (const [key, operation] of Object.entries(operations)) {
-      if (operation.$sum) {
-        aggregated[key] = results.reduce((sum, r) => sum + (r[operation.$sum] || 0), 0);
-      } else if (operation.$avg) {
-        const sum = results.reduce((s, r) => s + (r[operation.$avg] || 0), 0);
-        aggregated[key] = results.length > 0 ? sum / results.length : 0;
-      } else if (operation.$min) {
-        aggregated[key] = Math.min(...results.map(r => r[operation.$min] || Infinity));
-      } else if (operation.$max) {
-        aggregated[key] = Math.max(...results.map(r => r[operation.$max] || -Infinity));
-      } else if (operation.$count) {
-        aggregated[key] = results.length;
-      }
+      const [operator] = Object.keys(operation);
+      aggregated[key] = operator === '$count' ?
+        results.length :
+        accumulate(operator, `$${operation[operator]}`, results);
     }
     
     return aggregated;
   }
 }
 
+// Cursors are opaque to callers: base64url JSON of the sort fields and the
+// last record's values for them
+function encodeCursor(record, keys) {
+  const cursor = {
+    sort: keys.map(({ field, direction }) => [field, direction]),
+    values: keys.map(({ field }) => {
+      const value = getPath(record, field);
+      return value === undefined ? null : value;
+    })
+  };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(token, keys) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf-8'));
+  } catch (error) {
+    throw new Error('Invalid pagination cursor');
+  }
+  
+  const sort = keys.map(({ field, direction }) => [field, direction]);
+  if (!cursor || !Array.isArray(cursor.values) || JSON.stringify(cursor.sort) !== JSON.stringify(sort)) {
+    throw new Error('Invalid pagination cursor: it was created for a different sort');
+  }
+  return cursor.values;
+}
+
+function sortDirection(order) {
+  const normalized = typeof order === 'string' ? order.toLowerCase() : order;
+  if (normalized === 1 || normalized === 'asc' || normalized === 'ascending') return 1;
+  if (normalized === -1 || normalized === 'desc' || normalized === 'descending') return -1;
+  throw new Error(`Invalid sort order: ${order}`);
+}
+
+function isScalar(value) {
+  return value === null || typeof value !== 'object';
+}
+
 module.exports = { Query };
\ No newline at end of file
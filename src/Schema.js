@@ -0,0 +1,194 @@
+const { ValidationError } = require('./errors');
+
+const TYPES = ['string', 'number', 'boolean', 'date', 'array', 'object', 'any'];
+
+class Schema {
+  constructor(definition = {}) {
+    this.fields = {};
+    for (const [name, spec] of Object.entries(definition)) {
+      this.fields[name] = Schema.normalizeField(spec, name);
+    }
+  }
+
+  static normalizeField(spec, path) {
+    if (typeof spec === 'string') {
+      spec = { type: spec };
+    } else if (spec instanceof Schema) {
+      spec = { type: 'object', schema: spec };
+    } else if (spec && typeof spec === 'object' && spec.type === undefined) {
+      // A plain object without a type is shorthand for a nested schema
+      spec = { type: 'object', schema: spec };
+    }
+
+    if (!spec || !TYPES.includes(spec.type)) {
+      throw new Error(`Invalid schema type for field '${path}': ${spec && spec.type}`);
+    }
+
+    const field = { ...spec };
+    if (field.schema && !(field.schema instanceof Schema)) {
+      field.schema = new Schema(field.schema);
+    }
+    if (field.items) {
+      field.items = Schema.normalizeField(field.items, `${path}[]`);
+    }
+    if (typeof field.pattern === 'string') {
+      field.pattern = new RegExp(field.pattern, field.patternFlags || '');
+    }
+    return field;
+  }
+
+  validate(record) {
+    const errors = [];
+    const result = this.validateObject(record, '', errors);
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+    return result;
+  }
+
+  validateObject(object, prefix, errors) {
+    const result = { ...object };
+
+    for (const [name, field] of Object.entries(this.fields)) {
+      const path = prefix ? `${prefix}.${name}` : name;
+      let value = result[name];
+
+      if ((value === undefined || value === null) && field.default !== undefined) {
+        value = typeof field.default === 'function' ? field.default() : clone(field.default);
+      }
+
+      if (value === undefined || value === null) {
+        if (field.required) {
+          errors.push({ path, message: 'is required', value });
+        }
+        continue;
+      }
+
+      result[name] = this.validateValue(value, field, path, result, errors);
+    }
+
+    return result;
+  }
+
+  validateValue(value, field, path, parent, errors) {
+    const coerced = coerce(value, field.type);
+    if (coerced === undefined) {
+      errors.push({ path, message: `must be of type ${field.type}`, value });
+      return value;
+    }
+    value = coerced;
+
+    if (field.enum && !field.enum.includes(value)) {
+      errors.push({ path, message: `must be one of ${field.enum.join(', ')}`, value });
+    }
+
+    const size = measure(value, field.type);
+    if (field.min !== undefined && size < bound(field.min, field.type)) {
+      errors.push({ path, message: `must be at least ${field.min}`, value });
+    }
+    if (field.max !== undefined && size > bound(field.max, field.type)) {
+      errors.push({ path, message: `must be at most ${field.max}`, value });
+    }
+
+    if (field.pattern && !field.pattern.test(String(value))) {
+      errors.push({ path, message: `must match ${field.pattern}`, value });
+    }
+
+    if (field.type === 'object' && field.schema) {
+      value = field.schema.validateObject(value, path, errors);
+    }
+
+    if (field.type === 'array' && field.items) {
+      value = value.map((item, i) => this.validateValue(item, field.items, `${path}.${i}`, value, errors));
+    }
+
+    if (typeof field.validate === 'function') {
+      const outcome = field.validate(value, parent);
+      if (outcome === false || typeof outcome === 'string') {
+        errors.push({ path, message: typeof outcome === 'string' ? outcome : 'failed custom validation', value });
+      }
+    }
+
+    return value;
+  }
+
+  toJSON() {
+    const json = {};
+    for (const [name, field] of Object.entries(this.fields)) {
+      json[name] = serializeField(field);
+    }
+    return json;
+  }
+}
+
+// Returns the value converted to `type`, or undefined if it can't be
+function coerce(value, type) {
+  switch (type) {
+    case 'string':
+      if (typeof value === 'string') return value;
+      if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+      return undefined;
+    case 'number':
+      if (typeof value === 'number') return Number.isNaN(value) ? undefined : value;
+      if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+      }
+      return undefined;
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 1) return true;
+      if (value === 'false' || value === 0) return false;
+      return undefined;
+    case 'date': {
+      // Dates are stored as ISO strings so they survive the JSON round trip
+      if (typeof value !== 'string' && typeof value !== 'number' && !(value instanceof Date)) {
+        return undefined;
+      }
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+    }
+    case 'array':
+      return Array.isArray(value) ? value : undefined;
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value) ? value : undefined;
+    default:
+      return value;
+  }
+}
+
+function measure(value, type) {
+  if (type === 'date') return Date.parse(value);
+  if (typeof value === 'string' || Array.isArray(value)) return value.length;
+  return value;
+}
+
+// min/max are lengths for strings and arrays, and dates for dates
+function bound(limit, type) {
+  return type === 'date' ? Date.parse(coerce(limit, 'date')) : limit;
+}
+
+function clone(value) {
+  return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+// Custom validators and default functions can't be persisted; they have to
+// be passed to setSchema() again after a restart
+function serializeField(field) {
+  const json = {};
+  for (const [key, value] of Object.entries(field)) {
+    if (typeof value === 'function') continue;
+    if (key === 'schema') {
+      json.schema = value.toJSON();
+    } else if (key === 'items') {
+      json.items = serializeField(value);
+    } else if (key === 'pattern') {
+      json.pattern = value.source;
+      if (value.flags) json.patternFlags = value.flags;
+    } else {
+      json[key] = value;
+    }
+  }
+  return json;
+}
+
+module.exports = { Schema };
@@ -0,0 +1,184 @@
+const { compareValues } = require('./utils/compare');
+
+const MAX_LEVEL = 32;
+const PROBABILITY = 0.25;
+
+// Skip list of (value, id) entries ordered by value (see compareValues, so
+// fields holding mixed types still have one order), then id. Inserts,
+// deletes and seeking to a bound are O(log n); level 0 is doubly linked so
+// ranges can be walked in either direction.
+class SortedIndex {
+  constructor() {
+    this.type = 'sorted';
+    this.head = this.createNode(undefined, undefined, MAX_LEVEL);
+    this.tail = null;
+    this.level = 1;
+    this.size = 0;
+    this.map = new Map();
+    this.update = new Array(MAX_LEVEL);
+  }
+
+  createNode(value, id, level) {
+    return { value, id, forward: new Array(level).fill(null), backward: null };
+  }
+
+  randomLevel() {
+    let level = 1;
+    while (level < MAX_LEVEL && Math.random() < PROBABILITY) {
+      level++;
+    }
+    return level;
+  }
+
+  compare(node, value, id) {
+    const order = compareValues(node.value, value);
+    if (order !== 0) return order;
+    if (node.id < id) return -1;
+    if (node.id > id) return 1;
+    return 0;
+  }
+
+  // Fills this.update with the last node before (value, id) on each level
+  findPredecessors(value, id) {
+    let node = this.head;
+    for (let i = this.level - 1; i >= 0; i--) {
+      let next = node.forward[i];
+      while (next && this.compare(next, value, id) < 0) {
+        node = next;
+        next = node.forward[i];
+      }
+      this.update[i] = node;
+    }
+    return node;
+  }
+
+  // Walks down from the top level and returns the last node for which
+  // `isBefore` holds, or the head if there is none
+  findLast(isBefore) {
+    let node = this.head;
+    for (let i = this.level - 1; i >= 0; i--) {
+      while (node.forward[i] && isBefore(node.forward[i])) {
+        node = node.forward[i];
+      }
+    }
+    return node;
+  }
+
+  insert(value, id) {
+    if (this.map.has(id)) {
+      this.delete(id);
+    }
+
+    const update = this.update;
+    this.findPredecessors(value, id);
+
+    const level = this.randomLevel();
+    if (level > this.level) {
+      for (let i = this.level; i < level; i++) {
+        update[i] = this.head;
+      }
+      this.level = level;
+    }
+
+    const node = this.createNode(value, id, level);
+    for (let i = 0; i < level; i++) {
+      node.forward[i] = update[i].forward[i];
+      update[i].forward[i] = node;
+    }
+
+    node.backward = update[0] === this.head ? null : update[0];
+    if (node.forward[0]) {
+      node.forward[0].backward = node;
+    } else {
+      this.tail = node;
+    }
+
+    this.map.set(id, value);
+    this.size++;
+  }
+
+  delete(id) {
+    if (!this.map.has(id)) return false;
+
+    const value = this.map.get(id);
+    const update = this.update;
+    const before = this.findPredecessors(value, id);
+    const node = before.forward[0];
+    if (!node || node.id !== id) return false;
+
+    for (let i = 0; i < this.level; i++) {
+      if (update[i].forward[i] !== node) break;
+      update[i].forward[i] = node.forward[i];
+    }
+
+    if (node.forward[0]) {
+      node.forward[0].backward = node.backward;
+    } else {
+      this.tail = node.backward;
+    }
+
+    while (this.level > 1 && !this.head.forward[this.level - 1]) {
+      this.level--;
+    }
+
+    this.map.delete(id);
+    this.size--;
+    return true;
+  }
+
+  has(id) {
+    return this.map.has(id);
+  }
+
+  get(id) {
+    return this.map.get(id);
+  }
+
+  // `after` is a { value, id } entry to resume from; the walk starts at the
+  // first entry past it in the direction of travel
+  * range(options = {}) {
+    const { min, max, includeMin = true, includeMax = true, reverse = false, after } = options;
+
+    if (reverse) {
+      let node;
+      if (after) {
+        node = this.findLast(n => this.compare(n, after.value, after.id) < 0);
+      } else {
+        node = max === undefined ?
+          this.tail :
+          this.findLast(n => (includeMax ? compareValues(n.value, max) <= 0 : compareValues(n.value, max) < 0));
+      }
+      if (node === this.head) return;
+
+      while (node) {
+        if (min !== undefined && (includeMin ? compareValues(node.value, min) < 0 : compareValues(node.value, min) <= 0)) return;
+        yield node;
+        node = node.backward;
+      }
+      return;
+    }
+
+    let node;
+    if (after) {
+      node = this.findLast(n => this.compare(n, after.value, after.id) <= 0).forward[0];
+    } else {
+      node = min === undefined ?
+        this.head.forward[0] :
+        this.findLast(n => (includeMin ? compareValues(n.value, min) < 0 : compareValues(n.value, min) <= 0)).forward[0];
+    }
+
+    while (node) {
+      if (max !== undefined && (includeMax ? compareValues(node.value, max) > 0 : compareValues(node.value, max) >= 0)) return;
+      yield node;
+      node = node.forward[0];
+    }
+  }
+
+  * ids(options) {
+    for (const node of this.range(options)) {
+      yield node.id;
+    }
+  }
+}
+
+module.exports = { SortedIndex };
@@ -0,0 +1,72 @@
+const { SortedIndex } = require('./SortedIndex');
+const { getPath } = require('./utils/path');
+
+// Expiry times of a table's records: the value of a date field plus
+// expireAfterSeconds. Times are kept in a skip list, so the expired records
+// are always a range at its start.
+class TTLIndex {
+  constructor(field, options = {}) {
+    const { expireAfterSeconds = 0 } = options;
+    if (typeof expireAfterSeconds !== 'number' || !(expireAfterSeconds >= 0)) {
+      throw new Error('expireAfterSeconds must be a number of seconds, 0 or more');
+    }
+
+    this.type = 'ttl';
+    this.field = field;
+    this.expireAfterSeconds = expireAfterSeconds;
+    this.times = new SortedIndex();
+  }
+
+  get size() {
+    return this.times.size;
+  }
+
+  // The field can hold a Date, an ISO string or milliseconds since the
+  // epoch; records without a valid date don't expire
+  expiresAt(record) {
+    const value = getPath(record, this.field);
+    const time = value instanceof Date ? value.getTime() :
+      typeof value === 'number' ? value :
+      typeof value === 'string' ? Date.parse(value) : NaN;
+    return Number.isFinite(time) ? time + this.expireAfterSeconds * 1000 : null;
+  }
+
+  isExpired(record, now = Date.now()) {
+    const time = this.expiresAt(record);
+    return time !== null && time <= now;
+  }
+
+  add(id, record) {
+    const time = this.expiresAt(record);
+    if (time !== null) {
+      this.times.insert(time, id);
+    }
+  }
+
+  remove(id) {
+    this.times.delete(id);
+  }
+
+  // Ids of the records expired by `now`, earliest first
+  expiredIds(now = Date.now()) {
+    return Array.from(this.times.ids({ max: now }));
+  }
+
+  countExpired(now = Date.now()) {
+    let count = 0;
+    for (const node of this.times.range({ max: now })) {
+      count++;
+    }
+    return count;
+  }
+
+  serialize() {
+    return Array.from(this.times.range(), node => [node.id, node.value]);
+  }
+
+  load(id, time) {
+    this.times.insert(time, id);
+  }
+}
+
+module.exports = { TTLIndex };
\ No newline at end of file
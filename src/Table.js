@@ -1,13 +1,27 @@
 const fs = require('fs').promises;
+const crypto = require('crypto');
 const { createReadStream, createWriteStream } = require('fs');
 const { createInterface } = require('readline');
 const path = require('path');
 const { Query } = require('./Query');
+const { Aggregation } = require('./Aggregation');
 const { IndexManager } = require('./IndexManager');
 const { SimpleCache } = require('./SimpleCache');
+const { WriteAheadLog } = require('./WriteAheadLog');
+const { ChangeLog } = require('./ChangeLog');
+const { ChangeStream } = require('./ChangeStream');
+const { VersionHistory, HistoryView } = require('./VersionHistory');
+const { Schema } = require('./Schema');
+const { DuplicateKeyError, IntegrityError } = require('./errors');
 const { v4: uuidv4 } = require('./utils/uuid');
+const { writeFileAtomic } = require('./utils/fs');
+const { applyUpdate } = require('./utils/update');
+const { encodeRecord, decodeRecord } = require('./utils/compression');
+const { resolveFormat, checkMapping, mapRecord, writeRecords, readRecords } = require('./utils/transfer');
 const { EventEmitter } = require('events');
 
+const IMPORT_MODES = ['insert', 'upsert', 'replace'];
+
 class Table extends EventEmitter {
   constructor(name, db) {
     super();
@@ -16,9 +30,27 @@ class Table extends EventEmitter {
     this.filePath = path.join(db.dbPath, `${name}.jsonl`);
     this.metaPath = path.join(db.dbPath, `${name}.meta.json`);
     this.tempPath = path.join(db.dbPath, `${name}.jsonl.tmp`);
+    this.locatorPath = path.join(db.dbPath, `${name}.locator`);
+    this.walPath = path.join(db.dbPath, db.lock.fileName(`${name}.wal`));
+    this.changesPath = path.join(db.dbPath, `${name}.changes`);
+    this.historyPath = path.join(db.dbPath, `${name}.history`);
     this.data = new Map();
+    this.locator = new Map();
+    this.fileSize = 0;
+    this.fileGeneration = 0;
+    this.fileQueue = Promise.resolve();
     this.cache = new SimpleCache(db.options.cacheSize);
     this.indexManager = new IndexManager();
+    this.schema = null;
+    this.indexFingerprint = null;
+    this.sequence = 0;
+    // Sequence numbers are per process, so in shared mode the change log
+    // isn't persisted
+    this.changeLog = new ChangeLog(db.lock.shared ? null : this.changesPath, {
+      size: db.options.changeLogSize,
+      encryption: db.encryption
+    });
+    this.versionHistory = null;
     this.writeQueue = Promise.resolve();
     this.isDirty = false;
     this.autoIncrement = 1;
@@ -28,44 +60,415 @@ class Table extends EventEmitter {
     this.pendingDeletes = new Set();
     this.batchSize = 1000;
     this.deletedIds = new Set();
+    this.diskFingerprint = null;
+    this.compression = db.options.compression || false;
     this.metadata = {
       autoIncrement: 1,
       indices: [],
       recordCount: 0,
+      compression: this.compression,
+      encryption: db.encryption.fingerprint,
       modified: null
     };
+    this.expiryTimer = null;
     this.compactionThreshold = 0.3;
     this.lastCompaction = Date.now();
     this.compactionInterval = 60000;
+    this.wal = db.options.durability === 'none' ? null : new WriteAheadLog(this.walPath, {
+      mode: db.options.durability,
+      syncInterval: db.options.walSyncInterval,
+      encryption: db.encryption
+    });
   }
 
   async load() {
     try {
       await this.loadMetadata();
-      
-      if (this.metadata.recordCount <= this.db.options.cacheSize) {
-        await this.loadAllRecords();
-      } else {
-        await this.buildIndicesFromFile();
-      }
-      
-      this.isLoaded = true;
+      await this.loadFile();
     } catch (error) {
       if (error.code !== 'ENOENT') {
         throw error;
       }
-      this.isLoaded = true;
     }
+
+    await this.changeLog.open();
+    if (this.versionHistory) {
+      await this.versionHistory.ready();
+    }
+    this.sequence = Math.max(this.metadata.sequence || 0, this.changeLog.lastSequence);
+
+    await this.replayLog();
+    this.isLoaded = true;
+    
+    // Tables written with other compression or encryption settings, or
+    // before there were any, are rewritten in the current format
+    if (this.formatChanged() && !this.db.readonly) {
+      await this.rewrite();
+    }
+    if (this.db.lock.shared) {
+      this.diskFingerprint = await this.getDataFingerprint();
+    }
+    this.scheduleExpiry();
+  }
+
+  async loadFile() {
+    const indicesLoaded = await this.loadIndices();
+    
+    if (this.metadata.recordCount <= this.db.options.cacheSize) {
+      await this.loadAllRecords(!indicesLoaded);
+    } else if (!indicesLoaded) {
+      await this.buildIndicesFromFile();
+    }
+  }
+
+  // Shared mode: reloads the table if another process changed its file
+  // since this process last read or wrote it. Changes this process hasn't
+  // saved yet are kept on top. Runs under the write lock (see withFileLock).
+  async refresh() {
+    const fingerprint = await this.getDataFingerprint();
+    if (fingerprint === this.diskFingerprint) return;
+    
+    // Loaded on the side and swapped in at once, so readers never see a
+    // half-loaded table
+    const fresh = new Table(this.name, this.db);
+    await fresh.loadMetadata();
+    for (const definition of this.indexManager.getIndexDefinitions()) {
+      if (!fresh.indexManager.hasIndex(IndexManager.indexName(definition.fields, definition))) {
+        fresh.indexManager.createIndex(definition.fields, new Map(), definition);
+      }
+    }
+    await fresh.loadFile();
+    
+    const pendingIds = [
+      ...this.pendingWrites.map(record => record._id),
+      ...this.pendingUpdates.keys(),
+      ...this.pendingDeletes
+    ];
+    const stored = await fresh.loadRecordsByIds(pendingIds);
+    
+    this.data = fresh.data;
+    this.locator = fresh.locator;
+    this.fileSize = fresh.fileSize;
+    this.fileGeneration++;
+    this.indexManager = fresh.indexManager;
+    this.indexFingerprint = fresh.indexFingerprint;
+    this.metadata = fresh.metadata;
+    this.autoIncrement = Math.max(this.autoIncrement, fresh.autoIncrement);
+    this.sequence = Math.max(this.sequence, fresh.metadata.sequence || 0);
+    this.diskFingerprint = fingerprint;
+    this.cache.clear();
+    if (this.versionHistory) {
+      await this.versionHistory.open();
+    }
+    
+    for (const record of this.pendingWrites) {
+      this.indexManager.updateIndices(record._id, stored.get(record._id) || null, record);
+    }
+    for (const [id, record] of this.pendingUpdates) {
+      this.indexManager.updateIndices(id, stored.get(id) || null, record);
+    }
+    for (const id of this.pendingDeletes) {
+      if (stored.has(id)) {
+        this.indexManager.removeFromIndices(id, stored.get(id));
+      }
+    }
+    // Another process may have created a TTL index
+    this.scheduleExpiry();
+  }
+
+  // Whether the .jsonl file was last compacted with other settings than the
+  // current ones; older tables have no settings and are plain JSON
+  formatChanged() {
+    return (this.metadata.compression || false) !== this.compression ||
+      (this.metadata.encryption || false) !== this.db.encryption.fingerprint;
+  }
+
+  // Rewrites the table's files with the current compression and encryption
+  // settings, e.g. after the encryption key was rotated
+  async rewrite() {
+    this.indexFingerprint = null;
+    await this.persist();
+    await this.changeLog.rewrite();
+    if (this.versionHistory) {
+      await this.versionHistory.rewrite();
+    }
+  }
+
+  // One line of the .jsonl file: the record with its encrypted fields,
+  // compressed (see utils/compression) and then encrypted as a whole
+  encodeLine(record) {
+    const { encryption } = this.db;
+    return encryption.encodeText(encodeRecord(encryption.encodeFields(record), this.compression));
+  }
+
+  decodeLine(line) {
+    const { encryption } = this.db;
+    return encryption.decodeFields(decodeRecord(encryption.decodeText(line)));
+  }
+
+  // Replays this table's write-ahead log, and the logs of processes that
+  // died before saving (see FileLock.orphanedFiles). A readonly database
+  // only applies them in memory.
+  async replayLog() {
+    if (!this.wal) return;
+
+    const orphans = await this.db.lock.orphanedFiles(`${this.name}.wal`);
+    const entries = await this.wal.readEntries();
+    for (const orphan of orphans) {
+      entries.push(...await new WriteAheadLog(orphan, { encryption: this.db.encryption }).readEntries());
+    }
+
+    if (entries.length > 0) {
+      const previous = await this.loadCurrentRecords(entries);
+      this.applyChanges(entries, previous, { log: false, emit: false });
+    }
+    if (this.db.readonly) return;
+
+    if (entries.length > 0) {
+      this.wal.open();
+      await this.save();
+    }
+    for (const orphan of orphans) {
+      await fs.unlink(orphan).catch(() => {});
+    }
+  }
+
+  async loadCurrentRecords(entries) {
+    const records = new Map();
+    for (const entry of entries) {
+      const id = entry.op === 'delete' ? entry.id : entry.record._id;
+      if (!records.has(id)) {
+        records.set(id, await this.get(id));
+      }
+    }
+    return records;
+  }
+
+  // Applies log-format entries ({ op, record } or { op: 'delete', id }) to
+  // the pending buffers in one synchronous pass. `previous` maps each id to
+  // its current record (see loadCurrentRecords). Entries for ids that
+  // already exist are applied as upserts, so replaying an entry that had
+  // reached the .jsonl file before a crash is harmless.
+  applyChanges(entries, previous, options = {}) {
+    const { log = true, emit = true } = options;
+    const current = new Map(previous);
+
+    if (log) {
+      this.logChanges(entries);
+    }
+
+    for (const entry of entries) {
+      if (entry.op === 'delete') {
+        const record = current.get(entry.id);
+        if (!record) continue;
+
+        this.cache.delete(entry.id);
+        this.indexManager.removeFromIndices(entry.id, record);
+        this.pendingDeletes.add(entry.id);
+        current.set(entry.id, null);
+        this.recordChange('delete', record, null, { emit, actor: entry.actor });
+        if (emit) this.emit('delete', record);
+        continue;
+      }
+
+      const record = entry.record;
+      const id = record._id;
+      const oldRecord = current.get(id) || null;
+
+      this.indexManager.updateIndices(id, oldRecord, record);
+      this.cache.set(id, record);
+      this.deletedIds.delete(id);
+      this.pendingDeletes.delete(id);
+
+      // A record not appended to the file yet is replaced where it waits,
+      // so it is never tracked twice
+      const pendingIndex = this.pendingWrites.findIndex(write => write._id === id);
+      if (pendingIndex !== -1) {
+        this.pendingWrites[pendingIndex] = record;
+        this.pendingUpdates.delete(id);
+      } else if (oldRecord || this.data.has(id)) {
+        this.data.set(id, record);
+        this.pendingUpdates.set(id, record);
+      } else {
+        this.pendingWrites.push(record);
+      }
+
+      current.set(id, record);
+      this.recordChange(oldRecord ? 'update' : 'insert', oldRecord, record, { emit, actor: entry.actor });
+      if (emit) this.emit(oldRecord ? 'update' : 'insert', record);
+    }
+  }
+
+  // Every change gets the next sequence number; 'change' events carry the
+  // before and after images and feed watch() and live()
+  recordChange(op, before, after, options = {}) {
+    const { emit = true, actor = null } = options;
+    const event = {
+      seq: ++this.sequence,
+      op,
+      _id: (after || before)._id,
+      timestamp: new Date().toISOString(),
+      before,
+      after
+    };
+    this.changeLog.add(event);
+    if (this.versionHistory) {
+      this.recordVersion(event, actor);
+    }
+    if (emit) this.emit('change', event);
+  }
+
+  recordVersion({ op, _id, timestamp, before, after }, actor) {
+    // Records from before the table kept history, or whose history was
+    // pruned, get the version they had recorded first
+    if (before && !this.versionHistory.has(_id)) {
+      this.versionHistory.record({
+        _id,
+        version: before._version || 0,
+        op: before._version ? 'update' : 'insert',
+        timestamp: before._modified,
+        actor: null,
+        record: before
+      });
+    }
+    this.versionHistory.record({
+      _id,
+      version: after ? after._version || this.versionHistory.latestVersion(_id) + 1 : (before._version || 0) + 1,
+      op,
+      timestamp,
+      actor,
+      record: after || before
+    });
+  }
+
+  changesSince(sequence) {
+    return this.changeLog.since(sequence, this.sequence);
+  }
+
+  watch(filter, options = {}) {
+    return new ChangeStream(this, filter, options);
+  }
+
+  createRecord(record, timestamp) {
+    const id = record.id || record._id || uuidv4();
+    return this.validate({
+      ...record,
+      _id: id,
+      _created: timestamp,
+      _modified: timestamp,
+      ...this.nextVersion(id, null)
+    });
+  }
+
+  mergeRecord(record, updates, timestamp) {
+    return this.validate({
+      ...applyUpdate(record, updates),
+      _id: record._id,
+      _created: record._created,
+      _modified: timestamp,
+      ...this.nextVersion(record._id, record)
+    });
+  }
+
+  // Records of tables that keep history carry a version number. An id
+  // that is used again after a delete goes on from its history.
+  nextVersion(id, previous) {
+    if (!this.versionHistory) return {};
+    const version = Math.max(previous ? previous._version || 0 : 0, this.versionHistory.latestVersion(id));
+    return { _version: version + 1 };
+  }
+
+  assertUnique(records, ignoreIds) {
+    const duplicate = this.indexManager.findDuplicate(records, ignoreIds);
+    if (duplicate) {
+      throw new DuplicateKeyError(duplicate);
+    }
+  }
+
+  validate(record) {
+    return this.schema ? this.schema.validate(record) : record;
+  }
+
+  setSchema(definition, options = {}) {
+    if (options.persist !== false) {
+      this.db.assertWritable();
+    }
+    this.schema = definition ? (definition instanceof Schema ? definition : new Schema(definition)) : null;
+    
+    const tableMeta = this.db.metadata.tables[this.name];
+    if (tableMeta && options.persist !== false) {
+      tableMeta.schema = this.schema ? this.schema.toJSON() : {};
+      this.db.saveMetadata();
+    }
+    return this;
+  }
+
+  // Keeps every version of the table's records, see VersionHistory.
+  // `options` is true or a retention policy ({ maxVersions, maxAge });
+  // false stops keeping history.
+  setHistory(options, settings = {}) {
+    if (settings.persist !== false) {
+      this.db.assertWritable();
+    }
+    const retention = options === true ? {} : options;
+    
+    if (!options) {
+      this.versionHistory = null;
+    } else if (this.versionHistory) {
+      this.versionHistory.configure(retention);
+    } else {
+      this.versionHistory = new VersionHistory(this.historyPath, {
+        ...retention,
+        encryption: this.db.encryption,
+        shared: this.db.lock.shared
+      });
+      this.versionHistory.open().catch(() => {});
+    }
+    
+    const tableMeta = this.db.metadata.tables[this.name];
+    if (tableMeta && settings.persist !== false) {
+      tableMeta.history = options || false;
+      this.db.saveMetadata();
+    }
+    return this;
+  }
+
+  persist() {
+    clearTimeout(this.saveTimer);
+    this.writeQueue = this.writeQueue.catch(() => {}).then(() => this.save());
+    return this.writeQueue;
+  }
+
+  logChanges(entries) {
+    this.db.assertWritable();
+    if (this.wal) {
+      this.wal.append(entries);
+    }
+  }
+
+  async checkpoint(walMark) {
+    if (!this.wal) return;
+
+    const handle = await fs.open(this.filePath, 'r').catch(() => null);
+    if (handle) {
+      await handle.sync();
+      await handle.close();
+    }
+    this.wal.truncate(walMark);
   }
 
   async loadMetadata() {
     try {
       const content = await fs.readFile(this.metaPath, 'utf-8');
-      this.metadata = JSON.parse(content);
+      this.metadata = JSON.parse(this.db.encryption.decodeText(content));
       this.autoIncrement = this.metadata.autoIncrement || 1;
       
-      for (const field of this.metadata.indices) {
-        this.indexManager.createIndex(field, new Map());
+      for (const definition of this.metadata.indices) {
+        if (typeof definition === 'string') {
+          this.indexManager.createIndex(definition, new Map());
+        } else {
+          this.indexManager.createIndex(definition.fields, new Map(), definition);
+        }
       }
     } catch (error) {
       if (error.code !== 'ENOENT') {
@@ -77,106 +480,282 @@ class Table extends EventEmitter {
   async saveMetadata() {
     this.metadata.modified = new Date().toISOString();
     this.metadata.autoIncrement = this.autoIncrement;
-    this.metadata.indices = Array.from(this.indexManager.indices.keys());
-    this.metadata.recordCount = this.data.size;
+    this.metadata.sequence = this.sequence;
+    this.metadata.indices = this.indexManager.getIndexDefinitions();
     
-    await fs.writeFile(this.metaPath, JSON.stringify(this.metadata, null, 2));
+    await writeFileAtomic(this.metaPath, this.db.encryption.encodeText(JSON.stringify(this.metadata, null, 2)));
   }
 
-  async loadAllRecords() {
-    try {
-      const fileStream = createReadStream(this.filePath);
-      const rl = createInterface({
-        input: fileStream,
-        crlfDelay: Infinity
-      });
+  indexPath(name) {
+    return path.join(this.db.dbPath, `${this.name}.${name}.idx`);
+  }
 
-      for await (const line of rl) {
-        if (line.trim()) {
-          try {
-            const record = JSON.parse(line);
-            if (!this.deletedIds.has(record._id)) {
-              this.data.set(record._id, record);
-              this.indexManager.updateIndices(record._id, null, record);
-            }
-          } catch (parseError) {
-          }
-        }
+  // Index files are only trusted if they were written against the exact
+  // .jsonl file that is on disk now
+  async getDataFingerprint() {
+    const stat = await fs.stat(this.filePath).catch(() => null);
+    return stat ? `${stat.size}:${stat.mtimeMs}` : 'empty';
+  }
+
+  async readIndexFile(filePath, fingerprint) {
+    try {
+      const content = this.db.encryption.decodeText(await fs.readFile(filePath, 'utf-8'));
+      const newline = content.indexOf('\n');
+      const header = JSON.parse(content.slice(0, newline));
+      const body = content.slice(newline + 1);
+      
+      if (header.fingerprint !== fingerprint || header.checksum !== checksum(body)) {
+        return null;
       }
+      return JSON.parse(body);
     } catch (error) {
-      if (error.code !== 'ENOENT') {
-        throw error;
+      // Missing or corrupt index files are rebuilt from the table data
+      return null;
+    }
+  }
+
+  async writeIndexFile(filePath, fingerprint, content) {
+    const body = JSON.stringify(content);
+    const header = JSON.stringify({ fingerprint, checksum: checksum(body) });
+    await writeFileAtomic(filePath, this.db.encryption.encodeText(`${header}\n${body}`));
+  }
+
+  async loadIndices() {
+    const fingerprint = await this.getDataFingerprint();
+    
+    const locator = await this.readIndexFile(this.locatorPath, fingerprint);
+    if (!locator) return false;
+    
+    let complete = true;
+    for (const name of this.indexManager.getIndices()) {
+      const serialized = await this.readIndexFile(this.indexPath(name), fingerprint);
+      try {
+        if (serialized) {
+          this.indexManager.loadIndex(name, serialized);
+          continue;
+        }
+      } catch (error) {
       }
+      complete = false;
     }
+    
+    // Without the locator the file has to be scanned anyway, which rebuilds
+    // every index as it goes
+    for (const [id, offset, length] of locator.entries) {
+      this.locator.set(id, { offset, length });
+    }
+    this.fileSize = locator.fileSize;
+    this.metadata.recordCount = this.locator.size;
+    
+    if (complete) {
+      this.indexFingerprint = fingerprint;
+    }
+    return complete;
   }
 
-  async buildIndicesFromFile() {
+  async saveIndices() {
+    const fingerprint = await this.getDataFingerprint();
+    if (fingerprint === this.indexFingerprint) return;
+    if (this.pendingWrites.length > 0 || this.pendingUpdates.size > 0 || this.pendingDeletes.size > 0) {
+      return;
+    }
+    
+    const locator = {
+      fileSize: this.fileSize,
+      entries: Array.from(this.locator, ([id, { offset, length }]) => [id, offset, length])
+    };
+    const indices = this.indexManager.getIndices().map(name => [name, this.indexManager.serializeIndex(name)]);
+    
+    await this.writeIndexFile(this.locatorPath, fingerprint, locator);
+    for (const [name, serialized] of indices) {
+      await this.writeIndexFile(this.indexPath(name), fingerprint, serialized);
+    }
+    this.indexFingerprint = fingerprint;
+  }
+
+  // Yields each record in the .jsonl file with its byte offset and length.
+  // Lines are always written with a single '\n' terminator, and hold plain,
+  // compressed or encrypted JSON (see encodeLine).
+  async *readFileRecords() {
+    let offset = 0;
+    let fileStream = null;
+    let unverified = null;
+    
     try {
-      const fileStream = createReadStream(this.filePath);
+      fileStream = createReadStream(this.filePath);
       const rl = createInterface({
         input: fileStream,
         crlfDelay: Infinity
       });
 
       for await (const line of rl) {
+        const length = Buffer.byteLength(line);
         if (line.trim()) {
+          if (unverified) throw unverified.error;
+          
+          let record = null;
           try {
-            const record = JSON.parse(line);
-            if (!this.deletedIds.has(record._id)) {
-              this.indexManager.updateIndices(record._id, null, record);
-            }
+            record = this.decodeLine(line);
           } catch (parseError) {
+            // A line that fails authentication was tampered with, unless it
+            // is an unterminated last line torn by a crash mid-append
+            if (parseError instanceof IntegrityError) {
+              unverified = { error: parseError, end: offset + length };
+            }
+          }
+          if (record) {
+            yield { record, offset, length };
           }
         }
+        offset += length + 1;
+      }
+      
+      if (unverified) {
+        const stat = await fs.stat(this.filePath);
+        if (stat.size > unverified.end) throw unverified.error;
       }
     } catch (error) {
       if (error.code !== 'ENOENT') {
         throw error;
       }
+    } finally {
+      // Consumers may stop early, e.g. a cursor that reached its limit
+      if (fileStream) fileStream.destroy();
     }
   }
 
-  async loadRecordById(id) {
-    if (this.deletedIds.has(id) || this.pendingDeletes.has(id)) return null;
+  // Serializes everything that appends to or replaces the .jsonl file, so
+  // locator offsets always match the bytes on disk. In shared mode that
+  // includes other processes: the database write lock is held, and changes
+  // they made are loaded first.
+  withFileLock(fn) {
+    const run = () => this.db.withWriteLock(async () => {
+      if (!this.db.lock.shared) return fn();
+      
+      await this.refresh();
+      const result = await fn();
+      this.diskFingerprint = await this.getDataFingerprint();
+      return result;
+    });
     
-    if (this.pendingUpdates.has(id)) {
-      return this.pendingUpdates.get(id);
+    const result = this.fileQueue.then(run);
+    this.fileQueue = result.catch(() => {});
+    return result;
+  }
+
+  async loadAllRecords(indexRecords = true) {
+    this.locator.clear();
+    
+    for await (const { record, offset, length } of this.readFileRecords()) {
+      if (!this.deletedIds.has(record._id)) {
+        this.data.set(record._id, record);
+        this.locator.set(record._id, { offset, length });
+        if (indexRecords) {
+          this.indexManager.updateIndices(record._id, null, record);
+        }
+      }
     }
     
-    if (this.data.has(id)) {
-      return this.data.get(id);
+    await this.syncFileSize();
+  }
+
+  // The offsets are swapped in once the scan is done, so reads through the
+  // locator keep working meanwhile
+  async buildIndicesFromFile() {
+    const locator = new Map();
+    
+    for await (const { record, offset, length } of this.readFileRecords()) {
+      if (!this.deletedIds.has(record._id)) {
+        this.indexManager.updateIndices(record._id, null, record);
+        locator.set(record._id, { offset, length });
+      }
     }
+    
+    this.locator = locator;
+    await this.syncFileSize();
+  }
 
-    if (this.cache.has(id)) {
-      return this.cache.get(id);
+  async syncFileSize() {
+    const stat = await fs.stat(this.filePath).catch(() => null);
+    this.fileSize = stat ? stat.size : 0;
+    this.metadata.recordCount = this.locator.size;
+  }
+
+  async loadRecordById(id) {
+    const records = await this.loadRecordsByIds([id]);
+    return records.get(id) || null;
+  }
+
+  async loadRecordsByIds(ids) {
+    const records = new Map();
+    const toRead = [];
+    
+    let pendingWrites = null;
+    
+    for (const id of ids) {
+      if (this.deletedIds.has(id) || this.pendingDeletes.has(id)) continue;
+      
+      let record = this.pendingUpdates.get(id) || this.data.get(id) ||
+        (this.cache.has(id) ? this.cache.get(id) : undefined);
+      if (!record && this.pendingWrites.length > 0) {
+        pendingWrites = pendingWrites || new Map(this.pendingWrites.map(write => [write._id, write]));
+        record = pendingWrites.get(id);
+      }
+      if (record) {
+        records.set(id, record);
+      } else if (this.locator.has(id)) {
+        toRead.push(id);
+      }
+    }
+    
+    if (toRead.length > 0) {
+      for (const [id, record] of await this.readRecords(toRead)) {
+        this.cache.set(id, record);
+        records.set(id, record);
+      }
     }
+    
+    return records;
+  }
 
+  // Positional reads through the locator. If a compaction swaps the file
+  // mid-read, the offsets no longer match and the read is retried once.
+  async readRecords(ids, retry = true) {
+    const records = new Map();
+    const generation = this.fileGeneration;
+    
+    let handle;
     try {
-      const fileStream = createReadStream(this.filePath);
-      const rl = createInterface({
-        input: fileStream,
-        crlfDelay: Infinity
-      });
-
-      for await (const line of rl) {
-        if (line.trim()) {
-          try {
-            const record = JSON.parse(line);
-            if (record._id === id && !this.deletedIds.has(id)) {
-              this.cache.set(id, record);
-              rl.close();
-              fileStream.destroy();
-              return record;
-            }
-          } catch (parseError) {
-            continue;
+      handle = await fs.open(this.filePath, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') return records;
+      throw error;
+    }
+    
+    try {
+      for (const id of ids) {
+        const location = this.locator.get(id);
+        if (!location) continue;
+        
+        const buffer = Buffer.alloc(location.length);
+        await handle.read(buffer, 0, location.length, location.offset);
+        try {
+          const record = this.decodeLine(buffer.toString('utf-8'));
+          if (record._id === id) {
+            records.set(id, record);
           }
+        } catch (parseError) {
+          if (parseError instanceof IntegrityError) throw parseError;
         }
       }
-    } catch (error) {
+    } finally {
+      await handle.close();
     }
-
-    return null;
+    
+    if (retry && generation !== this.fileGeneration) {
+      return this.readRecords(ids, false);
+    }
+    return records;
   }
 
   needsCompaction() {
@@ -184,55 +763,81 @@ class Table extends EventEmitter {
     const timeSinceCompaction = Date.now() - this.lastCompaction;
     
     return (totalOps > this.metadata.recordCount * this.compactionThreshold) ||
-           (totalOps > 10000 && timeSinceCompaction > this.compactionInterval);
+           (totalOps > 10000 && timeSinceCompaction > this.compactionInterval) ||
+           this.formatChanged();
   }
 
-  async save() {
-    await this.flushPendingWrites();
+  save() {
+    if (this.db.readonly) return Promise.resolve();
+    return this.db.withWriteLock(() => this.writeChanges());
+  }
+
+  async writeChanges() {
+    await this.removeExpired();
+    const walMark = this.wal ? this.wal.size : 0;
+    await this.changeLog.flush();
+    if (this.versionHistory) {
+      await this.versionHistory.flush();
+    }
+    const flushed = await this.flushPendingWrites();
     
     if (!this.needsCompaction() && this.pendingUpdates.size === 0 && this.pendingDeletes.size === 0) {
+      if (flushed) {
+        await this.checkpoint(walMark);
+        await this.saveIndices();
+        await this.saveMetadata();
+      }
       return;
     }
     
+    await this.withFileLock(() => this.compact());
+    await this.saveMetadata();
+    
+    if (flushed) {
+      await this.checkpoint(walMark);
+    }
+    await this.saveIndices();
+    
+    this.isDirty = false;
+    this.emit('save', this.name);
+  }
+
+  async compact() {
     const writeStream = createWriteStream(this.tempPath);
+    const locator = new Map();
+    let offset = 0;
+    
+    const write = (record) => {
+      const line = this.encodeLine(record);
+      const length = Buffer.byteLength(line);
+      writeStream.write(line + '\n');
+      locator.set(record._id, { offset, length });
+      offset += length + 1;
+    };
     
     try {
       const processedIds = new Set();
       
-      if (await fs.stat(this.filePath).catch(() => null)) {
-        const fileStream = createReadStream(this.filePath);
-        const rl = createInterface({
-          input: fileStream,
-          crlfDelay: Infinity
-        });
-
-        for await (const line of rl) {
-          if (line.trim()) {
-            try {
-              const record = JSON.parse(line);
-              const id = record._id;
-              
-              if (!processedIds.has(id)) {
-                processedIds.add(id);
-                
-                if (this.pendingDeletes.has(id) || this.deletedIds.has(id)) {
-                  continue;
-                }
-                
-                const updatedRecord = this.pendingUpdates.get(id) || record;
-                writeStream.write(JSON.stringify(updatedRecord) + '\n');
-              }
-            } catch (parseError) {
-              continue;
-            }
-          }
+      for await (const { record, offset: lineOffset } of this.readFileRecords()) {
+        const id = record._id;
+        const location = this.locator.get(id);
+        
+        // Only the copy the locator points at is current
+        if (processedIds.has(id) || (location && location.offset !== lineOffset)) {
+          continue;
         }
+        processedIds.add(id);
+        
+        if (this.pendingDeletes.has(id) || this.deletedIds.has(id)) {
+          continue;
+        }
+        
+        write(this.pendingUpdates.get(id) || record);
       }
       
       for (const [id, record] of this.data.entries()) {
         if (!processedIds.has(id) && !this.pendingDeletes.has(id) && !this.deletedIds.has(id)) {
-          const updatedRecord = this.pendingUpdates.get(id) || record;
-          writeStream.write(JSON.stringify(updatedRecord) + '\n');
+          write(this.pendingUpdates.get(id) || record);
         }
       }
       
@@ -245,6 +850,10 @@ class Table extends EventEmitter {
       
       await fs.rename(this.tempPath, this.filePath);
       
+      this.locator = locator;
+      this.fileSize = offset;
+      this.fileGeneration++;
+      
       for (const [id, record] of this.pendingUpdates) {
         this.data.set(id, record);
       }
@@ -256,31 +865,64 @@ class Table extends EventEmitter {
       this.pendingDeletes.clear();
       this.deletedIds.clear();
       this.lastCompaction = Date.now();
-      
-      await this.saveMetadata();
-      
-      this.isDirty = false;
-      this.emit('save', this.name);
+      this.metadata.recordCount = locator.size;
+      this.metadata.compression = this.compression;
+      this.metadata.encryption = this.db.encryption.fingerprint;
     } catch (error) {
+      writeStream.destroy();
       await fs.unlink(this.tempPath).catch(() => {});
       throw error;
     }
   }
 
+  // Saves pending changes, then runs `fn` while saves and appends wait, so
+  // the table's files don't change until it is done
+  hold(fn) {
+    const run = async () => {
+      await this.save();
+      return this.withFileLock(fn);
+    };
+    this.writeQueue = this.writeQueue.catch(() => {}).then(run);
+    return this.writeQueue;
+  }
+
   async flushPendingWrites() {
-    if (this.pendingWrites.length === 0) return;
+    if (this.pendingWrites.length === 0 || this.db.readonly) return true;
+    return this.withFileLock(() => this.appendPendingWrites());
+  }
+
+  async appendPendingWrites() {
+    if (this.pendingWrites.length === 0) return true;
     
     try {
-      const lines = this.pendingWrites.map(record => JSON.stringify(record) + '\n');
-      await fs.appendFile(this.filePath, lines.join(''));
+      const batch = this.pendingWrites.slice();
+      const lines = batch.map(record => this.encodeLine(record));
+      await fs.appendFile(this.filePath, lines.map(line => line + '\n').join(''));
       
-      for (const record of this.pendingWrites) {
+      let offset = this.fileSize;
+      batch.forEach((record, i) => {
+        const length = Buffer.byteLength(lines[i]);
         this.data.set(record._id, record);
-      }
+        this.locator.set(record._id, { offset, length });
+        offset += length + 1;
+      });
+      this.fileSize = offset;
+      this.metadata.recordCount = this.locator.size;
       
-      this.pendingWrites = [];
+      // Records replaced while the batch was written (see applyChanges)
+      // are still newer than what reached the file
+      this.pendingWrites.slice(0, batch.length).forEach((record, i) => {
+        if (record !== batch[i]) {
+          this.pendingUpdates.set(record._id, record);
+        }
+      });
+      this.pendingWrites.splice(0, batch.length);
+      return true;
     } catch (error) {
+      const stat = await fs.stat(this.filePath).catch(() => null);
+      this.fileSize = stat ? stat.size : 0;
       this.queueSave();
+      return false;
     }
   }
 
@@ -294,17 +936,12 @@ class Table extends EventEmitter {
     }, 100);
   }
 
-  insert(record) {
-    const id = record.id || record._id || uuidv4();
-    const timestamp = new Date().toISOString();
-    
-    const fullRecord = {
-      ...record,
-      _id: id,
-      _created: timestamp,
-      _modified: timestamp
-    };
+  insert(record, options = {}) {
+    const fullRecord = this.createRecord(record, new Date().toISOString());
+    const id = fullRecord._id;
     
+    this.assertUnique([fullRecord]);
+    this.logChanges({ op: 'insert', record: fullRecord, actor: options.actor });
     this.cache.set(id, fullRecord);
     this.indexManager.updateIndices(id, null, fullRecord);
     this.deletedIds.delete(id);
@@ -316,23 +953,22 @@ class Table extends EventEmitter {
       this.flushPendingWrites().catch(() => this.queueSave());
     }
     
+    this.recordChange('insert', null, fullRecord, { actor: options.actor });
     this.emit('insert', fullRecord);
     return fullRecord;
   }
 
-  insertMany(records) {
+  insertMany(records, options = {}) {
     const inserted = [];
     const timestamp = new Date().toISOString();
     
-    for (const record of records) {
-      const id = record.id || record._id || uuidv4();
-      
-      const fullRecord = {
-        ...record,
-        _id: id,
-        _created: timestamp,
-        _modified: timestamp
-      };
+    const fullRecords = records.map(record => this.createRecord(record, timestamp));
+    
+    this.assertUnique(fullRecords);
+    this.logChanges(fullRecords.map(record => ({ op: 'insert', record, actor: options.actor })));
+    
+    for (const fullRecord of fullRecords) {
+      const id = fullRecord._id;
       
       this.cache.set(id, fullRecord);
       this.indexManager.updateIndices(id, null, fullRecord);
@@ -347,6 +983,7 @@ class Table extends EventEmitter {
     }
     
     for (const record of inserted) {
+      this.recordChange('insert', null, record, { actor: options.actor });
       this.emit('insert', record);
     }
     
@@ -354,6 +991,12 @@ class Table extends EventEmitter {
   }
 
   async get(id) {
+    const record = await this.getStored(id);
+    // Expired records are hidden until the next save removes them
+    return record && this.isExpired(record) ? null : record;
+  }
+
+  async getStored(id) {
     if (this.deletedIds.has(id) || this.pendingDeletes.has(id)) return null;
     
     if (this.pendingUpdates.has(id)) {
@@ -374,30 +1017,27 @@ class Table extends EventEmitter {
     return record;
   }
 
-  async update(id, updates) {
+  async update(id, updates, options = {}) {
     let record = await this.get(id);
     if (!record) return null;
     
-    const oldRecord = this.data.get(id) || record;
+    const oldRecord = record;
     
-    const updated = {
-      ...record,
-      ...updates,
-      _id: id,
-      _created: record._created,
-      _modified: new Date().toISOString()
-    };
+    const updated = this.mergeRecord(record, updates, new Date().toISOString());
     
+    this.assertUnique([updated]);
+    this.logChanges({ op: 'update', record: updated, actor: options.actor });
     this.pendingUpdates.set(id, updated);
     this.cache.set(id, updated);
     this.indexManager.updateIndices(id, oldRecord, updated);
     this.queueSave();
+    this.recordChange('update', oldRecord, updated, { actor: options.actor });
     this.emit('update', updated);
     
     return updated;
   }
 
-  async updateMany(condition, updates) {
+  async updateMany(condition, updates, options = {}) {
     const query = new Query(this.data, this.indexManager);
     query.table = this;
     const records = await query.where(condition).execute();
@@ -405,21 +1045,21 @@ class Table extends EventEmitter {
     
     const timestamp = new Date().toISOString();
     
-    for (const record of records) {
-      const oldRecord = this.data.get(record._id) || record;
-      
-      const updatedRecord = {
-        ...record,
-        ...updates,
-        _id: record._id,
-        _created: record._created,
-        _modified: timestamp
-      };
+    const changes = records.map(record => this.mergeRecord(record, updates, timestamp));
+    
+    this.assertUnique(changes);
+    this.logChanges(changes.map(record => ({ op: 'update', record, actor: options.actor })));
+    
+    for (let i = 0; i < records.length; i++) {
+      const record = records[i];
+      const updatedRecord = changes[i];
+      const oldRecord = record;
       
       this.pendingUpdates.set(record._id, updatedRecord);
       this.cache.set(record._id, updatedRecord);
       this.indexManager.updateIndices(record._id, oldRecord, updatedRecord);
       updated.push(updatedRecord);
+      this.recordChange('update', oldRecord, updatedRecord, { actor: options.actor });
       this.emit('update', updatedRecord);
     }
     
@@ -430,31 +1070,36 @@ class Table extends EventEmitter {
     return updated;
   }
 
-  async delete(id) {
+  async delete(id, options = {}) {
     const record = await this.get(id);
     if (!record) return false;
     
+    this.logChanges({ op: 'delete', id, actor: options.actor });
     this.cache.delete(id);
     this.indexManager.removeFromIndices(id, record);
     this.pendingDeletes.add(id);
     
     this.queueSave();
     
+    this.recordChange('delete', record, null, { actor: options.actor });
     this.emit('delete', record);
     return true;
   }
 
-  async deleteMany(condition) {
+  async deleteMany(condition, options = {}) {
     const query = new Query(this.data, this.indexManager);
     query.table = this;
     const records = await query.where(condition).execute();
     const deleted = [];
     
+    this.logChanges(records.map(record => ({ op: 'delete', id: record._id, actor: options.actor })));
+    
     for (const record of records) {
       this.cache.delete(record._id);
       this.indexManager.removeFromIndices(record._id, record);
       this.pendingDeletes.add(record._id);
       deleted.push(record);
+      this.recordChange('delete', record, null, { actor: options.actor });
       this.emit('delete', record);
     }
     
@@ -487,11 +1132,17 @@ class Table extends EventEmitter {
     return query;
   }
 
+  async aggregate(stages) {
+    return await new Aggregation(this, stages).execute();
+  }
+
   async count(condition) {
     if (!condition) {
-      const deletedCount = this.deletedIds.size + this.pendingDeletes.size;
+      const ttlIndex = this.indexManager.getTTLIndex();
+      const deletedCount = this.deletedIds.size + this.pendingDeletes.size +
+        (ttlIndex ? ttlIndex.countExpired() : 0);
       if (this.data.size === this.metadata.recordCount || this.metadata.recordCount === 0) {
-        return this.data.size + this.pendingWrites.length - deletedCount;
+        return Math.max(0, this.data.size + this.pendingWrites.length - deletedCount);
       }
       return Math.max(0, this.metadata.recordCount + this.pendingWrites.length - deletedCount);
     }
@@ -500,17 +1151,340 @@ class Table extends EventEmitter {
     return await query.where(condition).count();
   }
 
-  createIndex(field) {
-    this.indexManager.createIndex(field, this.data);
+  async export(target, options = {}) {
+    const format = resolveFormat(target, options.format);
+    const query = options.query instanceof Query ? options.query : this.find(options.query);
+    
+    const exported = await writeRecords(target, () => query.cursor(), {
+      format,
+      fields: options.fields || null,
+      delimiter: options.delimiter
+    });
+    return { exported };
+  }
+
+  // Records that fail to parse, validate or pass unique indexes are
+  // rejected, through onError, without stopping the import
+  async import(source, options = {}) {
+    this.db.assertWritable();
+    const { mode = 'insert', mapping = null, batchSize = 1000, onError = null } = options;
+    if (!IMPORT_MODES.includes(mode)) {
+      throw new Error(`Invalid import mode: ${mode}. Expected one of ${IMPORT_MODES.join(', ')}`);
+    }
+    const format = resolveFormat(source, options.format);
+    if (mapping) {
+      checkMapping(mapping);
+    }
+    
+    const report = { inserted: 0, updated: 0, skipped: 0, rejected: 0 };
+    const reject = async (error, record, position) => {
+      report.rejected++;
+      if (onError) {
+        await onError(error, record, position);
+      }
+    };
+    
+    let batch = [];
+    const batchIds = new Set();
+    const flush = async () => {
+      await this.importBatch(batch, mode, report, reject);
+      batch = [];
+      batchIds.clear();
+    };
+    
+    for await (const { record, position, error } of readRecords(source, { format, delimiter: options.delimiter })) {
+      if (error) {
+        await reject(error, record, position);
+        continue;
+      }
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        await reject(new Error(`Record ${position} is not an object`), record, position);
+        continue;
+      }
+    
+      const mapped = mapping ? mapRecord(record, mapping) : record;
+      if (!mapped) {
+        report.skipped++;
+        continue;
+      }
+    
+      // A record changed twice within one batch would be checked against
+      // its stored version both times
+      const id = mapped.id || mapped._id;
+      if (id && batchIds.has(id)) {
+        await flush();
+      }
+      if (id) batchIds.add(id);
+      batch.push({ record: mapped, position });
+    
+      if (batch.length >= batchSize) {
+        await flush();
+      }
+    }
+    await flush();
+    
+    return report;
+  }
+
+  async importBatch(batch, mode, report, reject) {
+    const timestamp = new Date().toISOString();
+    const accepted = [];
+    
+    for (const { record, position } of batch) {
+      try {
+        const id = record.id || record._id;
+        const previous = id ? await this.get(id) : null;
+        if (previous && mode === 'insert') {
+          throw new Error(`Record already exists: ${id}`);
+        }
+    
+        let stored;
+        if (!previous) {
+          // Imported records keep their timestamps, so dumps load as they were
+          const newId = id || uuidv4();
+          stored = this.validate({
+            ...record,
+            _id: newId,
+            _created: record._created || timestamp,
+            _modified: record._modified || timestamp,
+            ...this.nextVersion(newId, null)
+          });
+        } else if (mode === 'upsert') {
+          stored = this.mergeRecord(previous, record, timestamp);
+        } else {
+          stored = this.validate({
+            ...record,
+            _id: previous._id,
+            _created: previous._created,
+            _modified: timestamp,
+            ...this.nextVersion(previous._id, previous)
+          });
+        }
+        accepted.push({ record: stored, previous, source: record, position });
+      } catch (error) {
+        await reject(error, record, position);
+      }
+    }
+    
+    // Unique index conflicts reject one record at a time, the rest go ahead
+    let duplicate;
+    while ((duplicate = this.indexManager.findDuplicate(accepted.map(item => item.record)))) {
+      const [item] = accepted.splice(accepted.findIndex(item => item.record._id === duplicate.id), 1);
+      await reject(new DuplicateKeyError(duplicate), item.source, item.position);
+    }
+    if (accepted.length === 0) return;
+    
+    this.logChanges(accepted.map(({ record, previous }) => ({ op: previous ? 'update' : 'insert', record })));
+    
+    for (const { record, previous } of accepted) {
+      const id = record._id;
+      this.cache.set(id, record);
+      this.indexManager.updateIndices(id, previous, record);
+      if (previous) {
+        this.pendingUpdates.set(id, record);
+        report.updated++;
+      } else {
+        this.deletedIds.delete(id);
+        this.pendingDeletes.delete(id);
+        this.pendingWrites.push(record);
+        report.inserted++;
+      }
+    }
+    
+    for (const { record, previous } of accepted) {
+      this.recordChange(previous ? 'update' : 'insert', previous, record);
+      this.emit(previous ? 'update' : 'insert', record);
+    }
+    
+    if (this.pendingWrites.length >= this.batchSize) {
+      await this.flushPendingWrites();
+    }
+    this.queueSave();
+  }
+
+  async createIndex(field, options = {}) {
+    this.db.assertWritable();
+    // Index files aren't encrypted when only some fields are
+    const encrypted = [].concat(field).find(path => this.db.encryption.encryptsField(path));
+    if (encrypted) {
+      throw new Error(`Cannot index encrypted field: ${encrypted}`);
+    }
+    
+    // Records only on disk are read too, so unique indexes are checked
+    // against every record
+    const records = new Map();
     if (this.data.size < this.metadata.recordCount) {
-      this.buildIndicesFromFile();
+      await this.withFileLock(async () => {
+        for await (const { record, offset } of this.readFileRecords()) {
+          const location = this.locator.get(record._id);
+          if (location && location.offset === offset && !this.deletedIds.has(record._id)) {
+            records.set(record._id, record);
+          }
+        }
+      });
+    }
+    for (const [id, record] of this.getLiveRecords()) {
+      records.set(id, record);
+    }
+    for (const id of this.pendingDeletes) {
+      records.delete(id);
     }
+    
+    this.indexManager.createIndex(field, records, options);
+    this.indexFingerprint = null;
+    this.scheduleExpiry();
     this.queueSave();
     return this;
   }
 
-  dropIndex(field) {
-    this.indexManager.dropIndex(field);
+  // Full-text index over string fields, queried with $text. `weights`
+  // scales each field's contribution to the relevance score.
+  async createTextIndex(fields, options = {}) {
+    return await this.createIndex(Array.isArray(fields) ? fields : [fields], { ...options, type: 'text' });
+  }
+
+  // Records expire `expireAfterSeconds` after the date in `field`. With the
+  // defaults, each record's _expires field is its expiry date.
+  async createTTLIndex(field = '_expires', options = {}) {
+    return await this.createIndex(field, { ...options, type: 'ttl' });
+  }
+
+  isExpired(record, now = Date.now()) {
+    const ttlIndex = this.indexManager.getTTLIndex();
+    return ttlIndex !== null && ttlIndex.isExpired(record, now);
+  }
+
+  // Saves every `ttlInterval` ms while there are expired records, so they
+  // are removed even when nothing else changes
+  scheduleExpiry() {
+    if (this.expiryTimer || this.db.readonly || !this.indexManager.getTTLIndex()) return;
+    
+    this.expiryTimer = setInterval(() => {
+      const ttlIndex = this.indexManager.getTTLIndex();
+      if (ttlIndex && ttlIndex.countExpired() > 0) {
+        this.persist().catch(() => {});
+      }
+    }, this.db.options.ttlInterval);
+    this.expiryTimer.unref();
+  }
+
+  // Deletes the records that have expired, emitting 'expire' for each.
+  // Runs at the start of every save, so the compaction that follows drops
+  // them from the file.
+  async removeExpired() {
+    const ttlIndex = this.indexManager.getTTLIndex();
+    if (!ttlIndex) return;
+    
+    const records = [];
+    for (const id of ttlIndex.expiredIds()) {
+      const record = await this.getStored(id);
+      if (record) {
+        records.push(record);
+      } else {
+        ttlIndex.remove(id);
+      }
+    }
+    if (records.length === 0) return;
+    
+    this.logChanges(records.map(record => ({ op: 'delete', id: record._id })));
+    for (const record of records) {
+      this.cache.delete(record._id);
+      this.indexManager.removeFromIndices(record._id, record);
+      this.pendingDeletes.add(record._id);
+      this.recordChange('delete', record, null);
+      this.emit('expire', record);
+    }
+  }
+
+  assertHistory() {
+    if (!this.versionHistory) {
+      throw new Error(`Table ${this.name} doesn't keep history; open it with { history: true }`);
+    }
+  }
+
+  // A delete is a version too, holding the record as it was deleted
+  async history(id) {
+    this.assertHistory();
+    await this.versionHistory.ready();
+    return this.versionHistory.versions(id);
+  }
+
+  // The earlier version becomes the record's next version
+  async restoreVersion(id, version, options = {}) {
+    this.assertHistory();
+    await this.versionHistory.ready();
+    const entry = this.versionHistory.version(id, version);
+    if (!entry) {
+      throw new Error(`Record ${id} has no version ${version}`);
+    }
+    if (entry.op === 'delete') {
+      throw new Error(`Version ${version} of record ${id} is its deletion`);
+    }
+    return this.putVersion(entry.record, options.actor);
+  }
+
+  // Null if the record isn't deleted or its history is gone
+  async restore(id, options = {}) {
+    this.assertHistory();
+    await this.versionHistory.ready();
+    const versions = this.versionHistory.versions(id);
+    const last = versions[versions.length - 1];
+    if (!last || last.op !== 'delete' || await this.get(id)) return null;
+    
+    return this.putVersion(last.record, options.actor);
+  }
+
+  // With the time of the delete in _deleted
+  async deleted() {
+    this.assertHistory();
+    await this.versionHistory.ready();
+    return this.versionHistory.deleted().map(entry => ({ ...entry.record, _deleted: entry.timestamp }));
+  }
+
+  // Stores an earlier version of a record as its next version
+  async putVersion(version, actor) {
+    const id = version._id;
+    const current = await this.get(id);
+    const record = this.validate({
+      ...version,
+      _created: current ? current._created : version._created,
+      _modified: new Date().toISOString(),
+      ...this.nextVersion(id, current)
+    });
+    
+    this.assertUnique([record]);
+    this.applyChanges([{ op: current ? 'update' : 'insert', record, actor }], new Map([[id, current]]));
+    this.queueSave();
+    this.emit('restore', record);
+    return record;
+  }
+
+  // Reaches back as far as the history does
+  asOf(timestamp) {
+    this.assertHistory();
+    return new HistoryView(this, timestamp);
+  }
+
+  // In-memory records with pending changes applied
+  getLiveRecords() {
+    const records = new Map(this.data);
+    for (const record of this.pendingWrites) {
+      records.set(record._id, record);
+    }
+    for (const [id, record] of this.pendingUpdates) {
+      records.set(id, record);
+    }
+    for (const id of this.pendingDeletes) {
+      records.delete(id);
+    }
+    return records;
+  }
+
+  dropIndex(field, options = {}) {
+    this.db.assertWritable();
+    const name = this.indexManager.findIndexName(field, options);
+    this.indexManager.dropIndex(name);
+    fs.unlink(this.indexPath(name)).catch(() => {});
     this.queueSave();
     return this;
   }
@@ -520,12 +1494,45 @@ class Table extends EventEmitter {
     await this.writeQueue;
   }
 
+  async close() {
+    clearTimeout(this.saveTimer);
+    clearInterval(this.expiryTimer);
+    await this.flush();
+    await this.save();
+    if (this.wal) {
+      this.wal.close();
+      // A shared-mode log is only ever used by this process
+      if (this.db.lock.shared && this.wal.size === 0) {
+        await this.wal.destroy();
+      }
+    }
+  }
+
+  async removeIndexFiles() {
+    await fs.unlink(this.locatorPath).catch(() => {});
+    for (const name of this.indexManager.getIndices()) {
+      await fs.unlink(this.indexPath(name)).catch(() => {});
+    }
+  }
+
   async drop() {
+    this.db.assertWritable();
     clearTimeout(this.saveTimer);
+    clearInterval(this.expiryTimer);
+    await this.removeIndexFiles();
     await fs.unlink(this.filePath).catch(() => {});
     await fs.unlink(this.metaPath).catch(() => {});
     await fs.unlink(this.tempPath).catch(() => {});
+    if (this.wal) {
+      await this.wal.destroy();
+    }
+    await this.changeLog.destroy();
+    if (this.versionHistory) {
+      await this.versionHistory.destroy();
+    }
+    await fs.unlink(this.historyPath).catch(() => {});
     this.data.clear();
+    this.locator.clear();
     this.cache.clear();
     this.deletedIds.clear();
     this.pendingWrites = [];
@@ -535,7 +1542,9 @@ class Table extends EventEmitter {
   }
 
   async truncate() {
+    this.db.assertWritable();
     clearTimeout(this.saveTimer);
+    await this.removeIndexFiles();
     this.data.clear();
     this.cache.clear();
     this.indexManager.clear();
@@ -544,10 +1553,25 @@ class Table extends EventEmitter {
     this.pendingUpdates.clear();
     this.pendingDeletes.clear();
     this.metadata.recordCount = 0;
-    await fs.unlink(this.filePath).catch(() => {});
+    if (this.wal) {
+      this.wal.truncate();
+    }
+    if (this.versionHistory) {
+      await this.versionHistory.destroy();
+    }
+    await this.withFileLock(async () => {
+      await fs.unlink(this.filePath).catch(() => {});
+      this.locator.clear();
+      this.fileSize = 0;
+      this.fileGeneration++;
+    });
     await this.saveMetadata();
     this.emit('truncate');
   }
 }
 
+function checksum(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
 module.exports = { Table };
\ No newline at end of file
@@ -0,0 +1,240 @@
+const { getPath } = require('./utils/path');
+const { analyze, parseSearch, LANGUAGES } = require('./utils/text');
+
+// BM25 parameters: term frequency saturation and document length weight
+const K1 = 1.2;
+const B = 0.75;
+
+// Inverted index over one or more string fields. Each term maps to the
+// records containing it and its frequency there, weighted by field. Term
+// positions aren't stored, so phrases are matched against the record text.
+class TextIndex {
+  constructor(fields, options = {}) {
+    const language = options.language || 'english';
+    if (!LANGUAGES.includes(language)) {
+      throw new Error(`Unsupported text index language: ${language}. Expected one of ${LANGUAGES.join(', ')}`);
+    }
+
+    this.type = 'text';
+    this.fields = fields;
+    this.language = language;
+    this.weights = {};
+    for (const field of fields) {
+      this.weights[field] = options.weights && options.weights[field] !== undefined ? options.weights[field] : 1;
+    }
+
+    this.postings = new Map();
+    this.documents = new Map();
+    this.totalLength = 0;
+    this.sortedTerms = null;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  // Terms of each indexed field, in order
+  fieldTerms(record) {
+    const result = [];
+    for (const field of this.fields) {
+      const value = getPath(record, field);
+      const texts = Array.isArray(value) ? value : [value];
+      for (const text of texts) {
+        if (typeof text === 'string') {
+          result.push({ field, terms: analyze(text, this.language) });
+        }
+      }
+    }
+    return result;
+  }
+
+  // Weighted term frequencies and length of a record
+  frequencies(record) {
+    const terms = new Map();
+    let length = 0;
+
+    for (const { field, terms: fieldTerms } of this.fieldTerms(record)) {
+      const weight = this.weights[field];
+      for (const term of fieldTerms) {
+        terms.set(term, (terms.get(term) || 0) + weight);
+      }
+      length += fieldTerms.length * weight;
+    }
+
+    return { terms, length };
+  }
+
+  add(id, record) {
+    const { terms, length } = this.frequencies(record);
+    if (terms.size === 0) return;
+    this.load(id, length, terms);
+  }
+
+  load(id, length, terms) {
+    for (const [term, frequency] of terms) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+        this.sortedTerms = null;
+      }
+      this.postings.get(term).set(id, frequency);
+    }
+    this.documents.set(id, { length, terms: Array.from(terms.keys()) });
+    this.totalLength += length;
+  }
+
+  remove(id) {
+    const document = this.documents.get(id);
+    if (!document) return;
+
+    for (const term of document.terms) {
+      const ids = this.postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) {
+        this.postings.delete(term);
+        this.sortedTerms = null;
+      }
+    }
+    this.documents.delete(id);
+    this.totalLength -= document.length;
+  }
+
+  parse(operand) {
+    if (!operand || typeof operand.$search !== 'string') {
+      throw new Error('$text requires a $search string');
+    }
+    return parseSearch(operand.$search, this.language);
+  }
+
+  // Indexed terms starting with `prefix`, found by binary search over the
+  // sorted vocabulary
+  expandPrefix(prefix) {
+    if (!this.sortedTerms) {
+      this.sortedTerms = Array.from(this.postings.keys()).sort();
+    }
+
+    let low = 0;
+    let high = this.sortedTerms.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.sortedTerms[middle] < prefix) low = middle + 1;
+      else high = middle;
+    }
+
+    const terms = [];
+    for (let i = low; i < this.sortedTerms.length && this.sortedTerms[i].startsWith(prefix); i++) {
+      terms.push(this.sortedTerms[i]);
+    }
+    return terms;
+  }
+
+  // Terms that contribute to the score: plain words, phrase words and the
+  // indexed terms matching each prefix
+  scoringTerms(search) {
+    const terms = new Set(search.terms);
+    for (const phrase of search.phrases) {
+      phrase.forEach(term => terms.add(term));
+    }
+    for (const prefix of search.prefixes) {
+      this.expandPrefix(prefix).forEach(term => terms.add(term));
+    }
+    return terms;
+  }
+
+  bm25(term, frequency, length) {
+    const ids = this.postings.get(term);
+    const documentCount = ids ? ids.size : 0;
+    const idf = Math.log(1 + (this.documents.size - documentCount + 0.5) / (documentCount + 0.5));
+    const averageLength = this.documents.size > 0 ? this.totalLength / this.documents.size : 1;
+    return idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * length / averageLength));
+  }
+
+  // BM25 scores by record id, straight from the index. Phrases are only
+  // checked word by word here; matches() checks the order.
+  search(search) {
+    const terms = this.scoringTerms(search);
+    let candidates;
+
+    if (search.phrases.length > 0) {
+      const required = search.phrases.flat();
+      candidates = new Set(this.postings.has(required[0]) ? this.postings.get(required[0]).keys() : []);
+      for (const term of required.slice(1)) {
+        const ids = this.postings.get(term);
+        for (const id of candidates) {
+          if (!ids || !ids.has(id)) candidates.delete(id);
+        }
+      }
+    } else {
+      candidates = new Set();
+      for (const term of terms) {
+        const ids = this.postings.get(term);
+        if (ids) ids.forEach((frequency, id) => candidates.add(id));
+      }
+    }
+
+    for (const term of search.excluded) {
+      const ids = this.postings.get(term);
+      if (ids) ids.forEach((frequency, id) => candidates.delete(id));
+    }
+
+    const scores = new Map();
+    for (const id of candidates) {
+      const { length } = this.documents.get(id);
+      let score = 0;
+      for (const term of terms) {
+        const ids = this.postings.get(term);
+        if (ids && ids.has(id)) {
+          score += this.bm25(term, ids.get(id), length);
+        }
+      }
+      scores.set(id, score);
+    }
+    return scores;
+  }
+
+  // Scores a record from its own text, for records the index doesn't
+  // reflect yet
+  score(record, search) {
+    const { terms: frequencies, length } = this.frequencies(record);
+    let score = 0;
+    for (const term of this.scoringTerms(search)) {
+      if (frequencies.has(term)) {
+        score += this.bm25(term, frequencies.get(term), length);
+      }
+    }
+    return score;
+  }
+
+  // Any word or prefix must appear, or every phrase if there are phrases,
+  // and no excluded word or phrase may
+  matches(record, search) {
+    const fields = this.fieldTerms(record).map(({ terms }) => terms);
+    const words = new Set(fields.flat());
+    const hasPhrase = phrase => fields.some(terms => containsSequence(terms, phrase));
+
+    if (search.excluded.some(term => words.has(term)) || search.excludedPhrases.some(hasPhrase)) {
+      return false;
+    }
+    if (search.phrases.length > 0) {
+      return search.phrases.every(hasPhrase);
+    }
+    return search.terms.some(term => words.has(term)) ||
+      search.prefixes.some(prefix => Array.from(words).some(word => word.startsWith(prefix)));
+  }
+
+  serialize() {
+    return Array.from(this.documents, ([id, { length, terms }]) => [
+      id,
+      length,
+      terms.map(term => [term, this.postings.get(term).get(id)])
+    ]);
+  }
+}
+
+function containsSequence(terms, sequence) {
+  for (let i = 0; i + sequence.length <= terms.length; i++) {
+    if (sequence.every((term, offset) => terms[i + offset] === term)) return true;
+  }
+  return false;
+}
+
+module.exports = { TextIndex };
\ No newline at end of file
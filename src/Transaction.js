@@ -0,0 +1,266 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+class TransactionTable {
+  constructor(transaction, table) {
+    this.transaction = transaction;
+    this.table = table;
+    this.records = new Map();
+    this.inserted = new Set();
+    this.actors = new Map();
+  }
+
+  // Who made each change, for tables that keep history
+  setActor(id, actor) {
+    if (actor !== undefined) {
+      this.actors.set(id, actor);
+    }
+  }
+
+  insert(record, options = {}) {
+    this.transaction.assertActive();
+    const fullRecord = this.table.createRecord(record, new Date().toISOString());
+    this.records.set(fullRecord._id, fullRecord);
+    this.inserted.add(fullRecord._id);
+    this.setActor(fullRecord._id, options.actor);
+    return fullRecord;
+  }
+
+  insertMany(records, options = {}) {
+    this.transaction.assertActive();
+    const timestamp = new Date().toISOString();
+    return records.map(record => {
+      const fullRecord = this.table.createRecord(record, timestamp);
+      this.records.set(fullRecord._id, fullRecord);
+      this.inserted.add(fullRecord._id);
+      this.setActor(fullRecord._id, options.actor);
+      return fullRecord;
+    });
+  }
+
+  async get(id) {
+    if (this.records.has(id)) {
+      return this.records.get(id);
+    }
+    return await this.table.get(id);
+  }
+
+  async findById(id) {
+    return await this.get(id);
+  }
+
+  async update(id, updates, options = {}) {
+    this.transaction.assertActive();
+    const record = await this.get(id);
+    if (!record) return null;
+
+    const updated = this.table.mergeRecord(record, updates, new Date().toISOString());
+    this.records.set(id, updated);
+    this.setActor(id, options.actor);
+    return updated;
+  }
+
+  async updateMany(condition, updates, options = {}) {
+    this.transaction.assertActive();
+    const records = await this.find(condition).execute();
+    const timestamp = new Date().toISOString();
+
+    return records.map(record => {
+      const updated = this.table.mergeRecord(record, updates, timestamp);
+      this.records.set(record._id, updated);
+      this.setActor(record._id, options.actor);
+      return updated;
+    });
+  }
+
+  async delete(id, options = {}) {
+    this.transaction.assertActive();
+    const record = await this.get(id);
+    if (!record) return false;
+
+    this.records.set(id, null);
+    this.setActor(id, options.actor);
+    return true;
+  }
+
+  async deleteMany(condition, options = {}) {
+    this.transaction.assertActive();
+    const records = await this.find(condition).execute();
+    for (const record of records) {
+      this.records.set(record._id, null);
+      this.setActor(record._id, options.actor);
+    }
+    return records;
+  }
+
+  find(condition) {
+    const query = this.table.find(condition);
+    query.overlay = this.records;
+    return query;
+  }
+
+  async findOne(condition) {
+    return await this.find(condition).first();
+  }
+
+  all() {
+    const query = this.table.all();
+    query.overlay = this.records;
+    return query;
+  }
+
+  async count(condition) {
+    return await (condition ? this.find(condition) : this.all()).count();
+  }
+
+  assertUnique(entries) {
+    const records = entries.filter(entry => entry.op !== 'delete').map(entry => entry.record);
+    const deletedIds = new Set(entries.filter(entry => entry.op === 'delete').map(entry => entry.id));
+    this.table.assertUnique(records, deletedIds);
+  }
+
+  getChanges() {
+    const entries = [];
+    for (const [id, record] of this.records) {
+      const actor = this.actors.get(id);
+      if (record) {
+        entries.push({ op: this.inserted.has(id) ? 'insert' : 'update', record, actor });
+      } else if (!this.inserted.has(id)) {
+        entries.push({ op: 'delete', id, actor });
+      }
+    }
+    return entries;
+  }
+}
+
+class Transaction {
+  constructor(db) {
+    this.db = db;
+    this.tables = new Map();
+    this.state = 'active';
+  }
+
+  assertActive() {
+    if (this.state !== 'active') {
+      throw new Error(`Transaction is already ${this.state}`);
+    }
+  }
+
+  table(name) {
+    this.assertActive();
+    if (!this.tables.has(name)) {
+      this.tables.set(name, new TransactionTable(this, this.db.table(name)));
+    }
+    return this.tables.get(name);
+  }
+
+  async commit() {
+    this.assertActive();
+
+    const changes = {};
+    for (const [name, txTable] of this.tables) {
+      const entries = txTable.getChanges();
+      if (entries.length > 0) {
+        changes[name] = entries;
+        txTable.assertUnique(entries);
+      }
+    }
+
+    this.state = 'committing';
+
+    if (Object.keys(changes).length > 0) {
+      const journal = new TransactionJournal(
+        path.join(this.db.dbPath, this.db.lock.fileName('_transaction.json')),
+        this.db.encryption
+      );
+      await journal.write(changes);
+      await applyJournal(this.db, changes);
+      await journal.clear();
+    }
+
+    this.state = 'committed';
+  }
+
+  rollback() {
+    this.tables.clear();
+    this.state = 'rolled back';
+  }
+}
+
+// The journal is the commit point: once it is on disk the transaction is
+// applied in full, either now or by recover() on the next init()
+class TransactionJournal {
+  constructor(filePath, encryption) {
+    this.filePath = filePath;
+    this.encryption = encryption;
+    this.tempPath = `${this.filePath}.tmp`;
+  }
+
+  async write(changes) {
+    const handle = await fs.open(this.tempPath, 'w');
+    try {
+      const encoded = {};
+      for (const [name, entries] of Object.entries(changes)) {
+        encoded[name] = entries.map(entry => entry.record
+          ? { ...entry, record: this.encryption.encodeFields(entry.record) }
+          : entry);
+      }
+      await handle.writeFile(this.encryption.encodeText(JSON.stringify({ changes: encoded })));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(this.tempPath, this.filePath);
+  }
+
+  async read() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf-8');
+      return this.encryption.decodeFields(JSON.parse(this.encryption.decodeText(content))).changes;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async clear() {
+    await fs.unlink(this.filePath).catch(() => {});
+  }
+
+  // A readonly database applies the changes in memory and leaves the
+  // journal for the next writer
+  async recover(db) {
+    if (!db.readonly) {
+      await fs.unlink(this.tempPath).catch(() => {});
+    }
+
+    const changes = await this.read();
+    if (!changes) return false;
+
+    await applyJournal(db, changes, { emit: false, log: !db.readonly });
+    if (!db.readonly) {
+      await this.clear();
+    }
+    return true;
+  }
+}
+
+async function applyJournal(db, changes, options = {}) {
+  const tables = Object.keys(changes).map(name => db.table(name));
+
+  const previous = [];
+  for (const table of tables) {
+    previous.push(await table.loadCurrentRecords(changes[table.name]));
+  }
+
+  // No awaits between tables, so readers never observe a partial commit
+  tables.forEach((table, i) => {
+    table.applyChanges(changes[table.name], previous[i], options);
+  });
+
+  for (const table of tables) {
+    await table.persist();
+  }
+}
+
+module.exports = { Transaction, TransactionTable, TransactionJournal };
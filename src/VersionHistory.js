@@ -0,0 +1,275 @@
+const fs = require('fs').promises;
+const { Encryption } = require('./Encryption');
+const { IntegrityError } = require('./errors');
+const { writeFileAtomic } = require('./utils/fs');
+
+// Every version of the records of a table opened with `history`, kept in
+// <table>.history. Each change adds an entry with the record's new version
+// number, the record after the change (before it, for a delete), the time
+// and the actor that made it. Entries are buffered and appended by flush(),
+// which Table.save() calls before the WAL is checkpointed; changes replayed
+// from the WAL after a crash carry versions the history already holds and
+// are skipped.
+class VersionHistory {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.encryption = options.encryption || new Encryption();
+    this.shared = options.shared || false;
+    this.entries = new Map();
+    this.pending = [];
+    this.count = 0;
+    this.fileCount = 0;
+    this.writeQueue = Promise.resolve();
+    this.configure(options);
+  }
+
+  // Entries beyond the retention policy are dropped at the next save
+  configure(options) {
+    const { maxVersions = Infinity, maxAge = Infinity } = options;
+    if (maxVersions !== Infinity && (!Number.isInteger(maxVersions) || maxVersions < 1)) {
+      throw new Error(`maxVersions must be a positive integer, got ${maxVersions}`);
+    }
+    if (typeof maxAge !== 'number' || !(maxAge > 0)) {
+      throw new Error(`maxAge must be a positive number of milliseconds, got ${maxAge}`);
+    }
+    this.maxVersions = maxVersions;
+    this.maxAge = maxAge;
+  }
+
+  // (Re)loads the file. Entries not flushed yet are kept on top.
+  open() {
+    this.writeQueue = this.writeQueue.catch(() => {}).then(() => this.read());
+    return this.writeQueue;
+  }
+
+  ready() {
+    return this.writeQueue;
+  }
+
+  async read() {
+    let content = '';
+    try {
+      content = await fs.readFile(this.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const entries = [];
+    const lines = content.split('\n');
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(this.encryption.decodeFields(JSON.parse(this.encryption.decodeText(line))));
+      } catch (error) {
+        // Torn last line from a crash mid-append
+        if (error instanceof IntegrityError && i < lines.length - 1) throw error;
+      }
+    });
+
+    this.entries = new Map();
+    this.count = 0;
+    this.fileCount = entries.length;
+    for (const entry of [...entries, ...this.pending]) {
+      this.add(entry);
+    }
+  }
+
+  add(entry) {
+    const versions = this.entries.get(entry._id) || [];
+    const last = versions[versions.length - 1];
+    if (last && last.version >= entry.version) return false;
+
+    versions.push(entry);
+    this.entries.set(entry._id, versions);
+    this.count++;
+    return true;
+  }
+
+  // `entry.version` is the record's version after the change
+  record(entry) {
+    if (this.add(entry)) {
+      this.pending.push(entry);
+    }
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  latestVersion(id) {
+    const versions = this.entries.get(id);
+    return versions ? versions[versions.length - 1].version : 0;
+  }
+
+  versions(id) {
+    return (this.entries.get(id) || []).map(({ version, op, timestamp, actor, record }) =>
+      ({ version, op, timestamp, actor: actor === undefined ? null : actor, record }));
+  }
+
+  version(id, version) {
+    return (this.entries.get(id) || []).find(entry => entry.version === version) || null;
+  }
+
+  // Null if the record didn't exist at `timestamp`, undefined if the history
+  // doesn't reach back that far
+  recordAt(id, timestamp) {
+    const versions = this.entries.get(id);
+    if (!versions) return undefined;
+
+    let found = null;
+    for (const entry of versions) {
+      if (entry.timestamp > timestamp) break;
+      found = entry;
+    }
+    return found && found.op !== 'delete' ? found.record : null;
+  }
+
+  // Every record with a history as it was at `timestamp`, null for those
+  // that didn't exist then
+  recordsAt(timestamp) {
+    const records = new Map();
+    for (const id of this.entries.keys()) {
+      records.set(id, this.recordAt(id, timestamp));
+    }
+    return records;
+  }
+
+  // Latest entry of every record whose last change was a delete
+  deleted() {
+    const deleted = [];
+    for (const versions of this.entries.values()) {
+      const last = versions[versions.length - 1];
+      if (last.op === 'delete') {
+        deleted.push(last);
+      }
+    }
+    return deleted;
+  }
+
+  prune(now = Date.now()) {
+    const cutoff = this.maxAge === Infinity ? null : new Date(now - this.maxAge).toISOString();
+
+    for (const [id, versions] of this.entries) {
+      let start = Math.max(0, versions.length - this.maxVersions);
+      while (cutoff && start < versions.length && versions[start].timestamp < cutoff) {
+        start++;
+      }
+      if (start === 0) continue;
+
+      this.count -= start;
+      if (start === versions.length) {
+        this.entries.delete(id);
+      } else {
+        this.entries.set(id, versions.slice(start));
+      }
+    }
+  }
+
+  flush() {
+    const run = async () => {
+      this.prune();
+
+      // Rewrite the file once it holds twice the retained entries. Other
+      // processes append to it too, so in shared mode it is read first.
+      if (this.fileCount + this.pending.length > this.count * 2) {
+        if (this.shared) {
+          await this.read();
+          this.prune();
+        }
+        this.pending = [];
+        this.fileCount = this.count;
+        await writeFileAtomic(this.filePath, this.serialize(this.allEntries()));
+        return;
+      }
+
+      // Skipping entries pruned before they were ever written
+      const pending = this.pending.filter(entry => (this.entries.get(entry._id) || []).includes(entry));
+      this.pending = [];
+      if (pending.length === 0) return;
+      this.fileCount += pending.length;
+      await fs.appendFile(this.filePath, this.serialize(pending));
+    };
+
+    this.writeQueue = this.writeQueue.catch(() => {}).then(run);
+    return this.writeQueue;
+  }
+
+  // Replaces the file with the retained entries, also used to re-encrypt it
+  rewrite() {
+    const run = async () => {
+      this.pending = [];
+      this.fileCount = this.count;
+      await writeFileAtomic(this.filePath, this.serialize(this.allEntries()));
+    };
+
+    this.writeQueue = this.writeQueue.catch(() => {}).then(run);
+    return this.writeQueue;
+  }
+
+  allEntries() {
+    return Array.from(this.entries.values()).flat();
+  }
+
+  serialize(entries) {
+    return entries.map(entry => {
+      const encoded = { ...entry, record: this.encryption.encodeFields(entry.record) };
+      return this.encryption.encodeText(JSON.stringify(encoded)) + '\n';
+    }).join('');
+  }
+
+  async destroy() {
+    await this.writeQueue.catch(() => {});
+    this.entries = new Map();
+    this.pending = [];
+    this.count = 0;
+    this.fileCount = 0;
+    await fs.unlink(this.filePath).catch(() => {});
+  }
+}
+
+// Read-only view of a table as it was at a point in time, see Table.asOf().
+// Records come from the history where it has them, and otherwise from the
+// table if they haven't changed since.
+class HistoryView {
+  constructor(table, timestamp) {
+    const time = new Date(timestamp);
+    if (isNaN(time.getTime())) {
+      throw new Error(`Invalid timestamp: ${timestamp}`);
+    }
+    this.table = table;
+    this.timestamp = time.toISOString();
+  }
+
+  async get(id) {
+    await this.table.versionHistory.ready();
+    const record = this.table.versionHistory.recordAt(id, this.timestamp);
+    if (record !== undefined) return record;
+
+    const current = await this.table.get(id);
+    return current && current._modified <= this.timestamp ? current : null;
+  }
+
+  async findById(id) {
+    return await this.get(id);
+  }
+
+  find(condition) {
+    const query = this.table.find(condition);
+    query.overlay = this.table.versionHistory.recordsAt(this.timestamp);
+    return query.where(record => record._modified <= this.timestamp);
+  }
+
+  async findOne(condition) {
+    return await this.find(condition).first();
+  }
+
+  all() {
+    return this.find();
+  }
+
+  async count(condition) {
+    return await this.find(condition).count();
+  }
+}
+
+module.exports = { VersionHistory, HistoryView };
\ No newline at end of file
@@ -0,0 +1,45 @@
+class ValidationError extends Error {
+  constructor(errors) {
+    const summary = errors.map(error => `${error.path}: ${error.message}`).join('; ');
+    super(`Validation failed: ${summary}`);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+class DuplicateKeyError extends Error {
+  constructor({ index, fields, values, id }) {
+    super(`Duplicate key for unique index '${index}': ${JSON.stringify(values)}`);
+    this.name = 'DuplicateKeyError';
+    this.index = index;
+    this.fields = fields;
+    this.values = values;
+    this.id = id;
+  }
+}
+
+class IntegrityError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IntegrityError';
+  }
+}
+
+class LockError extends Error {
+  constructor(message, holder = null) {
+    super(message);
+    this.name = 'LockError';
+    this.holder = holder;
+  }
+}
+
+class MigrationError extends Error {
+  constructor(message, version = null, cause = null) {
+    super(message);
+    this.name = 'MigrationError';
+    this.version = version;
+    this.cause = cause;
+  }
+}
+
+module.exports = { ValidationError, DuplicateKeyError, IntegrityError, LockError, MigrationError };
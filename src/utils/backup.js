@@ -0,0 +1,216 @@
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream, constants } = require('fs');
+const { pipeline } = require('stream/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./fs');
+
+const MANIFEST_FILE = '_manifest.json';
+
+// Copy-on-write where the file system supports it
+function cloneFile(source, destination) {
+  return fs.copyFile(source, destination, constants.COPYFILE_FICLONE);
+}
+
+// Hard-link, or clone where links aren't possible (another device, or a
+// file system without them). Only safe for files that are replaced rather
+// than modified in place.
+async function linkOrClone(source, destination) {
+  try {
+    await fs.link(source, destination);
+  } catch (error) {
+    await cloneFile(source, destination);
+  }
+}
+
+// SHA-256 of a file, and of its first `prefixLength` bytes
+async function hashFile(filePath, prefixLength = 0) {
+  const hash = crypto.createHash('sha256');
+  const prefix = crypto.createHash('sha256');
+  let size = 0;
+
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+    if (size < prefixLength) {
+      prefix.update(chunk.subarray(0, prefixLength - size));
+    }
+    size += chunk.length;
+  }
+
+  return { size, checksum: hash.digest('hex'), prefixChecksum: prefix.digest('hex') };
+}
+
+async function readManifest(backupPath) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(backupPath, MANIFEST_FILE), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+    throw error;
+  }
+}
+
+// Newest first
+async function listBackups(directory) {
+  const entries = await fs.readdir(directory).catch(() => []);
+  const backups = [];
+  for (const entry of entries) {
+    const backupPath = path.join(directory, entry);
+    const manifest = await readManifest(backupPath);
+    if (manifest) {
+      backups.push({ path: backupPath, manifest });
+    }
+  }
+  return backups.sort((a, b) => b.manifest.created.localeCompare(a.manifest.created));
+}
+
+// With a base backup (in the same directory), files it already holds are
+// referenced instead of copied, and files that only grew (appends to a
+// .jsonl file) get just their new bytes copied, as a segment.
+async function writeBackup(sourceDir, files, backupPath, { database, base = null }) {
+  if (await readManifest(backupPath)) {
+    throw new Error(`Backup already exists: ${backupPath}`);
+  }
+  await fs.mkdir(backupPath, { recursive: true });
+
+  const name = path.basename(backupPath);
+  const manifest = {
+    version: 1,
+    database,
+    created: new Date().toISOString(),
+    base: base ? path.basename(base.path) : null,
+    files: {}
+  };
+
+  const copySegment = async (file, offset) => {
+    const source = path.join(sourceDir, file);
+    const target = offset === 0 ? file : `${file}@${offset}`;
+    if (offset === 0) {
+      await cloneFile(source, path.join(backupPath, target));
+    } else {
+      await pipeline(createReadStream(source, { start: offset }), createWriteStream(path.join(backupPath, target)));
+    }
+    return { backup: name, path: target, offset };
+  };
+
+  for (const file of files) {
+    const previous = base && base.manifest.files[file];
+    const { size, checksum, prefixChecksum } = await hashFile(path.join(sourceDir, file), previous ? previous.size : 0);
+
+    let segments;
+    if (previous && previous.checksum === checksum) {
+      segments = previous.segments;
+    } else if (previous && size > previous.size && prefixChecksum === previous.checksum) {
+      segments = [...previous.segments, await copySegment(file, previous.size)];
+    } else {
+      segments = [await copySegment(file, 0)];
+    }
+    manifest.files[file] = { size, checksum, segments };
+  }
+
+  await writeFileAtomic(path.join(backupPath, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  return backupPath;
+}
+
+// Files are put together in a temporary directory that is renamed into
+// place at the end
+async function restoreBackup(backupPath, targetPath, options = {}) {
+  const { verify = true } = options;
+
+  const existing = await fs.readdir(targetPath).catch(() => null);
+  if (existing && existing.length > 0) {
+    throw new Error(`Restore target is not empty: ${targetPath}`);
+  }
+
+  const manifest = await readManifest(backupPath);
+  const tempPath = `${targetPath}.restoring`;
+  await fs.rm(tempPath, { recursive: true, force: true });
+  await fs.mkdir(tempPath, { recursive: true });
+
+  try {
+    if (manifest) {
+      for (const [file, entry] of Object.entries(manifest.files)) {
+        const destination = path.join(tempPath, file);
+        await fs.writeFile(destination, '');
+        for (const segment of entry.segments) {
+          const source = path.join(path.dirname(backupPath), segment.backup, segment.path);
+          try {
+            await pipeline(createReadStream(source), createWriteStream(destination, { flags: 'a' }));
+          } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            throw new Error(`Backup is incomplete: ${segment.backup}/${segment.path} is missing`);
+          }
+        }
+
+        if (verify) {
+          const { size, checksum } = await hashFile(destination);
+          if (size !== entry.size || checksum !== entry.checksum) {
+            throw new Error(`Backup failed verification: ${file} doesn't match its checksum`);
+          }
+        }
+      }
+    } else {
+      // A snapshot: a plain copy of the database directory, without the
+      // lock directory left by opening it
+      for (const entry of await fs.readdir(backupPath, { withFileTypes: true })) {
+        if (entry.isFile()) {
+          await cloneFile(path.join(backupPath, entry.name), path.join(tempPath, entry.name));
+        }
+      }
+    }
+
+    if (existing) {
+      await fs.rmdir(targetPath);
+    }
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.rename(tempPath, targetPath);
+  } catch (error) {
+    await fs.rm(tempPath, { recursive: true, force: true });
+    throw error;
+  }
+
+  return targetPath;
+}
+
+// The newest backup is always kept, and so is every backup that a kept
+// incremental backup builds on
+async function pruneBackups(directory, options = {}) {
+  const { keep = Infinity, maxAge = Infinity } = options;
+  const backups = await listBackups(directory);
+  const now = Date.now();
+
+  const kept = new Set();
+  backups.forEach((backup, i) => {
+    const age = now - new Date(backup.manifest.created).getTime();
+    if (i === 0 || (i < keep && age <= maxAge)) {
+      kept.add(path.basename(backup.path));
+    }
+  });
+
+  // Segments list every backup an incremental backup's data lives in
+  for (const backup of backups.filter(backup => kept.has(path.basename(backup.path)))) {
+    for (const entry of Object.values(backup.manifest.files)) {
+      entry.segments.forEach(segment => kept.add(segment.backup));
+    }
+  }
+
+  const removed = [];
+  for (const backup of backups) {
+    if (!kept.has(path.basename(backup.path))) {
+      await fs.rm(backup.path, { recursive: true, force: true });
+      removed.push(backup.path);
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  cloneFile,
+  linkOrClone,
+  hashFile,
+  readManifest,
+  listBackups,
+  writeBackup,
+  restoreBackup,
+  pruneBackups
+};
\ No newline at end of file
@@ -0,0 +1,79 @@
+const { getPath } = require('./path');
+
+const TYPE_ORDER = {
+  undefined: 0,
+  null: 1,
+  number: 2,
+  string: 3,
+  object: 4,
+  array: 5,
+  boolean: 6
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Total order over JSON values: missing and null values sort first, values
+// of different types are grouped by type, and values of the same type
+// compare naturally
+function compareValues(a, b) {
+  const typeA = typeOf(a);
+  const typeB = typeOf(b);
+
+  if (typeA !== typeB) {
+    return (TYPE_ORDER[typeA] || 0) - (TYPE_ORDER[typeB] || 0);
+  }
+
+  if (typeA === 'object' || typeA === 'array') {
+    const jsonA = JSON.stringify(a);
+    const jsonB = JSON.stringify(b);
+    return jsonA === jsonB ? 0 : jsonA < jsonB ? -1 : 1;
+  }
+
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+// `keys` are { field, direction } in priority order. With `locale`,
+// `numeric` or `caseInsensitive`, strings are compared with Intl.Collator;
+// `nulls` places missing values first or last regardless of direction.
+function createComparator(keys, options = {}) {
+  const collate = options.locale || options.numeric || options.caseInsensitive ?
+    new Intl.Collator(options.locale, {
+      numeric: Boolean(options.numeric),
+      sensitivity: options.caseInsensitive ? 'accent' : 'variant'
+    }).compare :
+    null;
+  const nullsFirst = options.nulls === 'first' ? -1 : 1;
+
+  return (a, b) => {
+    for (const { field, direction } of keys) {
+      const valueA = getPath(a, field);
+      const valueB = getPath(b, field);
+      const missingA = valueA === undefined || valueA === null;
+      const missingB = valueB === undefined || valueB === null;
+
+      if (missingA || missingB) {
+        if (missingA && missingB) continue;
+        if (options.nulls) return missingA ? nullsFirst : -nullsFirst;
+        // Missing values are the smallest, so they lead ascending sorts
+        return (missingA ? -1 : 1) * direction;
+      }
+
+      const result = collate && typeof valueA === 'string' && typeof valueB === 'string' ?
+        collate(valueA, valueB) :
+        compareValues(valueA, valueB);
+      if (result !== 0) return result * direction;
+    }
+    return 0;
+  };
+}
+
+module.exports = {
+  compareValues,
+  createComparator,
+  typeOf
+};
\ No newline at end of file
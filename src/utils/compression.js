@@ -0,0 +1,41 @@
+const zlib = require('zlib');
+
+// Each compressed line is a one-letter codec tag followed by the base64
+// encoded record, so files stay line-oriented and lines written with
+// different settings can be mixed. Plain JSON lines always start with '{'.
+const CODECS = {
+  gzip: { tag: 'g', compress: zlib.gzipSync, decompress: zlib.gunzipSync },
+  brotli: { tag: 'b', compress: zlib.brotliCompressSync, decompress: zlib.brotliDecompressSync },
+  deflate: { tag: 'd', compress: zlib.deflateSync, decompress: zlib.inflateSync }
+};
+
+const CODECS_BY_TAG = Object.fromEntries(Object.values(CODECS).map(codec => [codec.tag, codec]));
+
+const COMPRESSION_MODES = Object.keys(CODECS);
+
+// One line of a table file, without the newline. Compressed records are a
+// codec tag followed by base64.
+function encodeRecord(record, compression) {
+  const json = JSON.stringify(record);
+  if (!compression) return json;
+
+  const codec = CODECS[compression];
+  return codec.tag + codec.compress(Buffer.from(json)).toString('base64');
+}
+
+// Reads lines written with any codec, or as plain JSON
+function decodeRecord(line) {
+  if (line[0] === '{') return JSON.parse(line);
+
+  const codec = CODECS_BY_TAG[line[0]];
+  if (!codec) {
+    throw new Error(`Unknown record encoding: ${line[0]}`);
+  }
+  return JSON.parse(codec.decompress(Buffer.from(line.slice(1), 'base64')).toString('utf-8'));
+}
+
+module.exports = {
+  COMPRESSION_MODES,
+  encodeRecord,
+  decodeRecord
+};
\ No newline at end of file
@@ -0,0 +1,146 @@
+const { getPath } = require('./path');
+const { compareValues } = require('./compare');
+const { deepEqual } = require('./query');
+
+const OPERATORS = {
+  $literal: (args) => args,
+
+  $add: (args, record) => {
+    const values = numbers(args, record, '$add');
+    return values && values.reduce((sum, value) => sum + value, 0);
+  },
+
+  $multiply: (args, record) => {
+    const values = numbers(args, record, '$multiply');
+    return values && values.reduce((product, value) => product * value, 1);
+  },
+
+  $subtract: (args, record) => {
+    const values = numbers(args, record, '$subtract', 2);
+    return values && values[0] - values[1];
+  },
+
+  $divide: (args, record) => {
+    const values = numbers(args, record, '$divide', 2);
+    return values && values[1] !== 0 ? values[0] / values[1] : null;
+  },
+
+  $mod: (args, record) => {
+    const values = numbers(args, record, '$mod', 2);
+    return values && values[1] !== 0 ? values[0] % values[1] : null;
+  },
+
+  $abs: (args, record) => {
+    const value = evaluate(args, record);
+    return typeof value === 'number' ? Math.abs(value) : null;
+  },
+
+  $concat: (args, record) => {
+    const values = list(args).map(arg => evaluate(arg, record));
+    if (values.some(value => value === null || value === undefined)) return null;
+    return values.join('');
+  },
+
+  $toUpper: (args, record) => {
+    const value = evaluate(args, record);
+    return value === null || value === undefined ? '' : String(value).toUpperCase();
+  },
+
+  $toLower: (args, record) => {
+    const value = evaluate(args, record);
+    return value === null || value === undefined ? '' : String(value).toLowerCase();
+  },
+
+  $size: (args, record) => {
+    const value = evaluate(args, record);
+    if (!Array.isArray(value)) {
+      throw new Error('$size requires an array');
+    }
+    return value.length;
+  },
+
+  $ifNull: (args, record) => {
+    const [value, fallback] = list(args).map(arg => evaluate(arg, record));
+    return value === null || value === undefined ? fallback : value;
+  },
+
+  $cond: (args, record) => {
+    const [condition, then, otherwise] = Array.isArray(args) ? args : [args.if, args.then, args.else];
+    return evaluate(condition, record) ? evaluate(then, record) : evaluate(otherwise, record);
+  },
+
+  $eq: (args, record) => deepEqual(...pair(args, record)),
+  $ne: (args, record) => !deepEqual(...pair(args, record)),
+  $gt: (args, record) => compareValues(...pair(args, record)) > 0,
+  $gte: (args, record) => compareValues(...pair(args, record)) >= 0,
+  $lt: (args, record) => compareValues(...pair(args, record)) < 0,
+  $lte: (args, record) => compareValues(...pair(args, record)) <= 0,
+
+  $and: (args, record) => list(args).every(arg => evaluate(arg, record)),
+  $or: (args, record) => list(args).some(arg => evaluate(arg, record)),
+  $not: (args, record) => !evaluate(Array.isArray(args) ? args[0] : args, record)
+};
+
+// Strings starting with '$' are field paths ('$address.city') and '$$ROOT'
+// is the record itself. Single-key objects with an operator key are
+// operators, other objects are evaluated field by field, and anything else
+// is a literal.
+function evaluate(expression, record) {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    if (expression === '$$ROOT') return record;
+    return getPath(record, expression.slice(1));
+  }
+
+  if (Array.isArray(expression)) {
+    return expression.map(item => evaluate(item, record));
+  }
+
+  if (expression !== null && typeof expression === 'object') {
+    const keys = Object.keys(expression);
+    if (keys.length === 1 && keys[0].startsWith('$')) {
+      const operator = OPERATORS[keys[0]];
+      if (!operator) {
+        throw new Error(`Unknown expression operator: ${keys[0]}`);
+      }
+      return operator(expression[keys[0]], record);
+    }
+
+    const result = {};
+    for (const key of keys) {
+      result[key] = evaluate(expression[key], record);
+    }
+    return result;
+  }
+
+  return expression;
+}
+
+function list(args) {
+  return Array.isArray(args) ? args : [args];
+}
+
+function pair(args, record) {
+  if (!Array.isArray(args) || args.length !== 2) {
+    throw new Error('Comparison expressions take two arguments');
+  }
+  return args.map(arg => evaluate(arg, record));
+}
+
+// Evaluates numeric arguments, or returns null if any of them is missing
+function numbers(args, record, operator, count) {
+  const values = list(args).map(arg => evaluate(arg, record));
+  if (count !== undefined && values.length !== count) {
+    throw new Error(`${operator} takes ${count} arguments`);
+  }
+  if (values.some(value => value === null || value === undefined)) {
+    return null;
+  }
+  if (values.some(value => typeof value !== 'number')) {
+    throw new Error(`${operator} only supports numeric values`);
+  }
+  return values;
+}
+
+module.exports = {
+  evaluate
+};
\ No newline at end of file
@@ -0,0 +1,27 @@
+const fs = require('fs').promises;
+
+const pendingWrites = new Map();
+
+// Writes a temp file and renames it over the target, so a crash never leaves
+// a half-written file behind. Writes to the same path run in call order.
+function writeFileAtomic(filePath, content) {
+  const previous = pendingWrites.get(filePath) || Promise.resolve();
+  const write = previous.catch(() => {}).then(async () => {
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, content);
+    await fs.rename(tempPath, filePath);
+  });
+
+  pendingWrites.set(filePath, write);
+  write.catch(() => {}).then(() => {
+    if (pendingWrites.get(filePath) === write) {
+      pendingWrites.delete(filePath);
+    }
+  });
+
+  return write;
+}
+
+module.exports = {
+  writeFileAtomic
+};
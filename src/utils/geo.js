@@ -0,0 +1,303 @@
+const EARTH_RADIUS = 6371008.8;
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+const WORLD = { minLat: -90, maxLat: 90, minLng: -180, maxLng: 180 };
+const GEO_OPERATORS = ['$near', '$geoWithin', '$geoIntersects'];
+
+// Reads { lat, lng }, a GeoJSON Point or a [lng, lat] pair; null if the
+// value isn't a valid point
+function toPoint(value) {
+  let lat;
+  let lng;
+
+  if (Array.isArray(value)) {
+    [lng, lat] = value;
+  } else if (value && typeof value === 'object') {
+    if (value.type === 'Point' && Array.isArray(value.coordinates)) {
+      [lng, lat] = value.coordinates;
+    } else {
+      ({ lat, lng } = value);
+    }
+  }
+
+  if (typeof lat !== 'number' || typeof lng !== 'number' ||
+    lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return null;
+  }
+  return { lat, lng };
+}
+
+function requirePoint(value, operator) {
+  const point = toPoint(value);
+  if (!point) {
+    throw new Error(`${operator} requires a point: { lat, lng }, a GeoJSON Point or [lng, lat]`);
+  }
+  return point;
+}
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+function toDegrees(radians) {
+  return radians * 180 / Math.PI;
+}
+
+// Great-circle distance in meters (haversine formula)
+function distance(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// The point can be given directly or as $geometry, and $maxDistance /
+// $minDistance (meters) inside the operand or next to it
+function parseNear(operand, operators = {}) {
+  const options = operand && operand.$geometry ? operand : operators;
+  const point = requirePoint(operand && operand.$geometry ? operand.$geometry : operand, '$near');
+  const maxDistance = options.$maxDistance === undefined ? Infinity : options.$maxDistance;
+  const minDistance = options.$minDistance === undefined ? 0 : options.$minDistance;
+
+  if (typeof maxDistance !== 'number' || typeof minDistance !== 'number' || minDistance < 0) {
+    throw new Error('$maxDistance and $minDistance must be non-negative numbers of meters');
+  }
+  return { point, maxDistance, minDistance };
+}
+
+// A point test for the shape, and the bounding boxes (split at the
+// antimeridian) that enclose it
+function parseShape(operand, operator) {
+  if (!operand || typeof operand !== 'object') {
+    throw new Error(`${operator} requires a shape`);
+  }
+
+  if (operand.$box) {
+    if (!Array.isArray(operand.$box) || operand.$box.length !== 2) {
+      throw new Error('$box requires [southWest, northEast]');
+    }
+    const southWest = requirePoint(operand.$box[0], '$box');
+    const northEast = requirePoint(operand.$box[1], '$box');
+    return boxShape(southWest, northEast);
+  }
+
+  if (operand.$circle) {
+    const { center, radius } = operand.$circle;
+    if (typeof radius !== 'number' || radius < 0) {
+      throw new Error('$circle requires { center, radius } with the radius in meters');
+    }
+    return circleShape(requirePoint(center, '$circle'), radius);
+  }
+
+  if (operand.$polygon) {
+    if (!Array.isArray(operand.$polygon) || operand.$polygon.length < 3) {
+      throw new Error('$polygon requires at least three points');
+    }
+    return polygonShape([[operand.$polygon.map(point => requirePoint(point, '$polygon'))]]);
+  }
+
+  const geometry = operand.$geometry;
+  if (geometry && geometry.type === 'Point' && operator === '$geoIntersects') {
+    const point = requirePoint(geometry, operator);
+    return {
+      contains: candidate => candidate.lat === point.lat && candidate.lng === point.lng,
+      bounds: [{ minLat: point.lat, maxLat: point.lat, minLng: point.lng, maxLng: point.lng }]
+    };
+  }
+  if (geometry && (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon')) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    return polygonShape(polygons.map(rings => rings.map(ring => ring.map(point => requirePoint(point, operator)))));
+  }
+
+  throw new Error(`${operator} requires $box, $circle, $polygon or a GeoJSON $geometry`);
+}
+
+function boxShape(southWest, northEast) {
+  const minLat = Math.min(southWest.lat, northEast.lat);
+  const maxLat = Math.max(southWest.lat, northEast.lat);
+
+  // A box whose west edge is east of its east edge crosses the antimeridian
+  if (southWest.lng > northEast.lng) {
+    return {
+      contains: point => point.lat >= minLat && point.lat <= maxLat &&
+        (point.lng >= southWest.lng || point.lng <= northEast.lng),
+      bounds: [
+        { minLat, maxLat, minLng: southWest.lng, maxLng: 180 },
+        { minLat, maxLat, minLng: -180, maxLng: northEast.lng }
+      ]
+    };
+  }
+
+  return {
+    contains: point => point.lat >= minLat && point.lat <= maxLat &&
+      point.lng >= southWest.lng && point.lng <= northEast.lng,
+    bounds: [{ minLat, maxLat, minLng: southWest.lng, maxLng: northEast.lng }]
+  };
+}
+
+function circleShape(center, radius) {
+  return {
+    contains: point => distance(center, point) <= radius,
+    bounds: circleBounds(center, radius)
+  };
+}
+
+function circleBounds(center, radius) {
+  if (radius === Infinity) return [WORLD];
+
+  const latDelta = toDegrees(radius / EARTH_RADIUS);
+  const minLat = center.lat - latDelta;
+  const maxLat = center.lat + latDelta;
+
+  // Circles reaching a pole span every longitude
+  if (minLat <= -90 || maxLat >= 90) {
+    return [{ minLat: Math.max(minLat, -90), maxLat: Math.min(maxLat, 90), minLng: -180, maxLng: 180 }];
+  }
+
+  const lngDelta = toDegrees(Math.asin(Math.min(1, Math.sin(radius / EARTH_RADIUS) / Math.cos(toRadians(center.lat)))));
+  const minLng = center.lng - lngDelta;
+  const maxLng = center.lng + lngDelta;
+
+  if (minLng < -180) {
+    return [
+      { minLat, maxLat, minLng: minLng + 360, maxLng: 180 },
+      { minLat, maxLat, minLng: -180, maxLng }
+    ];
+  }
+  if (maxLng > 180) {
+    return [
+      { minLat, maxLat, minLng, maxLng: 180 },
+      { minLat, maxLat, minLng: -180, maxLng: maxLng - 360 }
+    ];
+  }
+  return [{ minLat, maxLat, minLng, maxLng }];
+}
+
+// `polygons` is a list of polygons, each a list of rings: the outer
+// boundary followed by any holes. Edges are straight in lat/lng.
+function polygonShape(polygons) {
+  const points = polygons.flatMap(rings => rings[0]);
+  return {
+    contains: point => polygons.some(rings =>
+      inRing(point, rings[0]) && !rings.slice(1).some(hole => inRing(point, hole) && !onRing(point, hole))),
+    bounds: [{
+      minLat: Math.min(...points.map(point => point.lat)),
+      maxLat: Math.max(...points.map(point => point.lat)),
+      minLng: Math.min(...points.map(point => point.lng)),
+      maxLng: Math.max(...points.map(point => point.lng))
+    }]
+  };
+}
+
+// Ray casting; points on the boundary count as inside
+function inRing(point, ring) {
+  if (onRing(point, ring)) return true;
+
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+    if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+      point.lng < (b.lng - a.lng) * (point.lat - a.lat) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function onRing(point, ring) {
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+    const cross = (b.lng - a.lng) * (point.lat - a.lat) - (b.lat - a.lat) * (point.lng - a.lng);
+    if (Math.abs(cross) < 1e-12 &&
+      point.lng >= Math.min(a.lng, b.lng) && point.lng <= Math.max(a.lng, b.lng) &&
+      point.lat >= Math.min(a.lat, b.lat) && point.lat <= Math.max(a.lat, b.lat)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Nearby points share geohash prefixes
+function encodeGeohash(point, precision) {
+  let minLat = -90;
+  let maxLat = 90;
+  let minLng = -180;
+  let maxLng = 180;
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let isLng = true;
+
+  while (hash.length < precision) {
+    if (isLng) {
+      const middle = (minLng + maxLng) / 2;
+      value = value * 2 + (point.lng >= middle ? 1 : 0);
+      if (point.lng >= middle) minLng = middle; else maxLng = middle;
+    } else {
+      const middle = (minLat + maxLat) / 2;
+      value = value * 2 + (point.lat >= middle ? 1 : 0);
+      if (point.lat >= middle) minLat = middle; else maxLat = middle;
+    }
+    isLng = !isLng;
+
+    if (++bits === 5) {
+      hash += GEOHASH_ALPHABET[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+}
+
+// Prefixes whose cells cover `box`, at the finest precision up to
+// `maxPrecision` that needs no more than `maxCells` cells
+function coveringGeohashes(box, maxPrecision, maxCells = 32) {
+  let precision = maxPrecision;
+  let cellWidth;
+  let cellHeight;
+
+  for (; ; precision--) {
+    cellWidth = 360 / 2 ** Math.ceil(precision * 5 / 2);
+    cellHeight = 180 / 2 ** Math.floor(precision * 5 / 2);
+    const columns = Math.ceil((box.maxLng - box.minLng) / cellWidth) + 1;
+    const rows = Math.ceil((box.maxLat - box.minLat) / cellHeight) + 1;
+    if (precision === 1 || columns * rows <= maxCells) break;
+  }
+
+  // Sampling every cell width and height, plus the far edges, touches
+  // every cell the box overlaps
+  const steps = (min, max, step) => {
+    const values = [];
+    for (let value = min; value < max; value += step) values.push(value);
+    values.push(max);
+    return values;
+  };
+
+  const hashes = new Set();
+  for (const lat of steps(box.minLat, box.maxLat, cellHeight)) {
+    for (const lng of steps(box.minLng, box.maxLng, cellWidth)) {
+      hashes.add(encodeGeohash({ lat, lng }, precision));
+    }
+  }
+  return Array.from(hashes);
+}
+
+function inBounds(point, box) {
+  return point.lat >= box.minLat && point.lat <= box.maxLat &&
+    point.lng >= box.minLng && point.lng <= box.maxLng;
+}
+
+module.exports = {
+  GEO_OPERATORS,
+  toPoint,
+  distance,
+  parseNear,
+  parseShape,
+  circleBounds,
+  encodeGeohash,
+  coveringGeohashes,
+  inBounds
+};
\ No newline at end of file
@@ -0,0 +1,63 @@
+const { ValidationError } = require('../errors');
+
+// Paths are dot-notation ('address.city', 'tags.0'). Undefined if any
+// segment is missing.
+function getPath(object, path) {
+  let value = object;
+  for (const part of path.split('.')) {
+    if (value && typeof value === 'object') {
+      value = value[part];
+    } else {
+      return undefined;
+    }
+  }
+  return value;
+}
+
+// Segments that would reach an object's prototype instead of its own fields
+const UNSAFE_SEGMENTS = new Set(['__proto__', 'constructor', 'prototype']);
+
+function assertSafePath(path) {
+  const unsafe = String(path).split('.').find(part => UNSAFE_SEGMENTS.has(part));
+  if (unsafe !== undefined) {
+    throw new ValidationError([{ path: String(path), message: `path segment '${unsafe}' is not allowed` }]);
+  }
+}
+
+// Creates missing intermediate objects
+function setPath(object, path, value) {
+  assertSafePath(path);
+  const parts = path.split('.');
+  let target = object;
+  for (const part of parts.slice(0, -1)) {
+    if (!target[part] || typeof target[part] !== 'object') {
+      target[part] = {};
+    }
+    target = target[part];
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+// Returns whether a value was removed
+function unsetPath(object, path) {
+  assertSafePath(path);
+  const parts = path.split('.');
+  const parent = parts.length > 1 ? getPath(object, parts.slice(0, -1).join('.')) : object;
+  const last = parts[parts.length - 1];
+  if (!parent || typeof parent !== 'object' || !(last in parent)) {
+    return false;
+  }
+  if (Array.isArray(parent)) {
+    parent[last] = null;
+  } else {
+    delete parent[last];
+  }
+  return true;
+}
+
+module.exports = {
+  assertSafePath,
+  getPath,
+  setPath,
+  unsetPath
+};
\ No newline at end of file
@@ -0,0 +1,232 @@
+const { getPath } = require('./path');
+const { compareValues, typeOf } = require('./compare');
+const { toPoint, distance, parseNear, parseShape } = require('./geo');
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number',
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => isPlainObject(value),
+  null: value => value === null,
+  date: value => value instanceof Date ||
+    (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(Date.parse(value)))
+};
+
+const FIELD_OPERATORS = {
+  $eq: operand => value => deepEqual(value, operand),
+  $ne: operand => value => !deepEqual(value, operand),
+  $gt: operand => value => compareSameType(value, operand) > 0,
+  $gte: operand => value => compareSameType(value, operand) >= 0,
+  $lt: operand => value => compareSameType(value, operand) < 0,
+  $lte: operand => value => compareSameType(value, operand) <= 0,
+
+  $in: operand => {
+    assertArray(operand, '$in');
+    return value => operand.some(candidate => deepEqual(value, candidate));
+  },
+
+  $nin: operand => {
+    assertArray(operand, '$nin');
+    return value => !operand.some(candidate => deepEqual(value, candidate));
+  },
+
+  $exists: operand => value => (value !== undefined) === Boolean(operand),
+
+  $not: operand => {
+    const matches = operand instanceof RegExp ? regexMatcher(operand) : compileOperators(operand);
+    return value => !matches(value);
+  },
+
+  $all: operand => {
+    assertArray(operand, '$all');
+    return value => Array.isArray(value) &&
+      operand.every(expected => value.some(item => deepEqual(item, expected)));
+  },
+
+  $size: operand => value => Array.isArray(value) && value.length === operand,
+
+  $elemMatch: operand => {
+    const matches = compileElementMatch(operand);
+    return value => Array.isArray(value) && value.some(matches);
+  },
+
+  $type: operand => {
+    const checks = (Array.isArray(operand) ? operand : [operand]).map(type => {
+      if (!TYPE_CHECKS[type]) {
+        throw new Error(`Unknown $type: ${type}`);
+      }
+      return TYPE_CHECKS[type];
+    });
+    return value => checks.some(check => check(value));
+  },
+
+  $geoWithin: operand => geoMatcher(parseShape(operand, '$geoWithin')),
+  $geoIntersects: operand => geoMatcher(parseShape(operand, '$geoIntersects')),
+
+  $mod: operand => {
+    if (!Array.isArray(operand) || operand.length !== 2) {
+      throw new Error('$mod requires [divisor, remainder]');
+    }
+    const [divisor, remainder] = operand;
+    return value => typeof value === 'number' && value % divisor === remainder;
+  }
+};
+
+// Top-level keys are field paths, the logical operators or $text, which is
+// compiled by options.text when the table has a text index. Functions are
+// passed through as predicates.
+function compileQuery(query, options = {}) {
+  if (typeof query === 'function') return query;
+  if (!isPlainObject(query)) {
+    throw new Error('Query must be an object or a function');
+  }
+
+  const predicates = Object.entries(query).map(([key, value]) => {
+    switch (key) {
+      case '$and': {
+        const predicates = compileList(value, '$and', options);
+        return record => predicates.every(predicate => predicate(record));
+      }
+      case '$or': {
+        const predicates = compileList(value, '$or', options);
+        return record => predicates.some(predicate => predicate(record));
+      }
+      case '$nor': {
+        const predicates = compileList(value, '$nor', options);
+        return record => !predicates.some(predicate => predicate(record));
+      }
+      case '$not': {
+        const predicate = compileQuery(value, options);
+        return record => !predicate(record);
+      }
+      case '$text': {
+        if (!options.text) {
+          throw new Error('$text requires a text index');
+        }
+        return options.text(value);
+      }
+      default: {
+        if (key.startsWith('$')) {
+          throw new Error(`Unknown query operator: ${key}`);
+        }
+        const matches = compileValue(value);
+        return record => matches(getPath(record, key));
+      }
+    }
+  });
+
+  if (predicates.length === 1) return predicates[0];
+  return record => predicates.every(predicate => predicate(record));
+}
+
+function compileValue(condition) {
+  if (condition instanceof RegExp) return regexMatcher(condition);
+  if (isOperatorObject(condition)) return compileOperators(condition);
+  return value => deepEqual(value, condition);
+}
+
+// For $elemMatch and $pull: operator objects apply to the element itself,
+// other objects are queries against object elements
+function compileElementMatch(condition) {
+  if (isPlainObject(condition) && !isOperatorObject(condition)) {
+    const matches = compileQuery(condition);
+    return element => isPlainObject(element) && matches(element);
+  }
+  return compileValue(condition);
+}
+
+function compileOperators(operators) {
+  const predicates = [];
+
+  for (const [operator, operand] of Object.entries(operators)) {
+    if (operator === '$options' || operator === '$maxDistance' || operator === '$minDistance') continue;
+
+    if (operator === '$regex') {
+      predicates.push(regexMatcher(new RegExp(operand, operators.$options || '')));
+    } else if (operator === '$near') {
+      predicates.push(nearMatcher(parseNear(operand, operators)));
+    } else if (FIELD_OPERATORS[operator]) {
+      predicates.push(FIELD_OPERATORS[operator](operand));
+    } else {
+      throw new Error(`Unknown query operator: ${operator}`);
+    }
+  }
+
+  return value => predicates.every(predicate => predicate(value));
+}
+
+function compileList(queries, operator, options) {
+  if (!Array.isArray(queries) || queries.length === 0) {
+    throw new Error(`${operator} requires a non-empty array`);
+  }
+  return queries.map(query => compileQuery(query, options));
+}
+
+function regexMatcher(regex) {
+  return value => typeof value === 'string' && regex.test(value);
+}
+
+function geoMatcher(shape) {
+  return value => {
+    const point = toPoint(value);
+    return point !== null && shape.contains(point);
+  };
+}
+
+function nearMatcher({ point, maxDistance, minDistance }) {
+  return value => {
+    const location = toPoint(value);
+    if (location === null) return false;
+    const meters = distance(point, location);
+    return meters <= maxDistance && meters >= minDistance;
+  };
+}
+
+function assertArray(operand, operator) {
+  if (!Array.isArray(operand)) {
+    throw new Error(`${operator} requires an array`);
+  }
+}
+
+// Missing and null values never satisfy range operators
+function isComparable(value) {
+  return value !== undefined && value !== null;
+}
+
+// NaN for values of different types, which range operators never match.
+// Same-type values are ordered as in sorted indexes, so a query gives the
+// same results with and without one.
+function compareSameType(value, operand) {
+  if (!isComparable(value) || typeOf(value) !== typeOf(operand)) return NaN;
+  return compareValues(value, operand);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof RegExp) && !(value instanceof Date);
+}
+
+function isOperatorObject(value) {
+  return isPlainObject(value) && Object.keys(value).some(key => key.startsWith('$'));
+}
+
+// Structural equality for JSON values
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => deepEqual(a[key], b[key]));
+}
+
+module.exports = {
+  compileQuery,
+  compileValue,
+  compileElementMatch,
+  isOperatorObject,
+  deepEqual
+};
\ No newline at end of file
@@ -0,0 +1,372 @@
+const { createReadStream, createWriteStream } = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { StringDecoder } = require('string_decoder');
+const path = require('path');
+const { assertSafePath, getPath, setPath, unsetPath } = require('./path');
+
+const FORMATS = ['json', 'ndjson', 'csv'];
+
+// The given format, or else the file's extension: .json, .csv, anything
+// else is NDJSON
+function resolveFormat(target, format) {
+  if (format) {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Invalid format: ${format}. Expected one of ${FORMATS.join(', ')}`);
+    }
+    return format;
+  }
+  const extension = typeof target === 'string' ? path.extname(target).toLowerCase() : '';
+  return extension === '.json' ? 'json' : extension === '.csv' ? 'csv' : 'ndjson';
+}
+
+// Nested objects as one level of dot-notation keys. Arrays are kept whole.
+function flattenRecord(record, prefix = '', result = {}) {
+  for (const [key, value] of Object.entries(record)) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+      flattenRecord(value, `${prefix}${key}.`, result);
+    } else {
+      result[prefix + key] = value;
+    }
+  }
+  return result;
+}
+
+function selectFields(record, fields) {
+  const selected = {};
+  for (const field of fields) {
+    const value = getPath(record, field);
+    if (value !== undefined) {
+      setPath(selected, field, value);
+    }
+  }
+  return selected;
+}
+
+function formatCsvValue(value, delimiter) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// CSV has no types, so cells that read as numbers, booleans or JSON arrays
+// and objects become those. Numbers only when nothing is lost: '007' stays
+// a string.
+function parseCsvValue(text) {
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (text.trim() !== '' && String(Number(text)) === text) return Number(text);
+  if (/^[[{]/.test(text)) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+    }
+  }
+  return text;
+}
+
+async function* encodeRecords(openCursor, { format, fields, delimiter }, stats) {
+  if (format === 'csv') {
+    // Without fields, the columns are every field found in a first pass
+    let columns = fields;
+    if (!columns) {
+      const seen = new Set(['_id']);
+      for await (const record of openCursor()) {
+        Object.keys(flattenRecord(record)).forEach(key => seen.add(key));
+      }
+      columns = Array.from(seen);
+    }
+
+    yield columns.map(column => formatCsvValue(column, delimiter)).join(delimiter) + '\n';
+    for await (const record of openCursor()) {
+      stats.count++;
+      const flat = flattenRecord(record);
+      yield columns.map(column => formatCsvValue(column in flat ? flat[column] : getPath(record, column), delimiter))
+        .join(delimiter) + '\n';
+    }
+    return;
+  }
+
+  let first = true;
+  if (format === 'json') yield '[';
+  for await (const record of openCursor()) {
+    stats.count++;
+    const json = JSON.stringify(fields ? selectFields(record, fields) : record);
+    if (format === 'json') {
+      yield (first ? '\n  ' : ',\n  ') + json;
+    } else {
+      yield json + '\n';
+    }
+    first = false;
+  }
+  if (format === 'json') yield first ? ']\n' : '\n]\n';
+}
+
+// Ends the stream afterwards. CSV without `fields` calls openCursor twice.
+async function writeRecords(target, openCursor, { format, fields = null, delimiter = ',' }) {
+  const stats = { count: 0 };
+  const output = typeof target === 'string' ? createWriteStream(target) : target;
+  await pipeline(Readable.from(encodeRecords(openCursor, { format, fields, delimiter }, stats)), output);
+  return stats.count;
+}
+
+async function* readText(source) {
+  const input = typeof source === 'string' ? createReadStream(source) : source;
+  const decoder = new StringDecoder('utf-8');
+  let first = true;
+
+  for await (const chunk of input) {
+    let text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    if (first && text.length > 0) {
+      text = text.replace(/^\uFEFF/, '');
+      first = false;
+    }
+    yield text;
+  }
+  yield decoder.end();
+}
+
+async function* parseNdjson(chunks) {
+  let buffer = '';
+  let position = 0;
+
+  const parseLine = (line) => {
+    position++;
+    if (line.trim() === '') return null;
+    try {
+      return { record: JSON.parse(line), position };
+    } catch (error) {
+      return { error: new Error(`Invalid JSON on line ${position}: ${error.message}`), record: line, position };
+    }
+  };
+
+  for await (const chunk of chunks) {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      const result = parseLine(line);
+      if (result) yield result;
+    }
+  }
+  const result = parseLine(buffer);
+  if (result) yield result;
+}
+
+// Splits a top-level JSON array into its elements as they arrive, so the
+// whole document is never held in memory
+async function* parseJsonArray(chunks) {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let item = '';
+  let position = 0;
+  let closed = false;
+
+  const parseItem = (text) => {
+    position++;
+    try {
+      return { record: JSON.parse(text), position };
+    } catch (error) {
+      return { error: new Error(`Invalid JSON in element ${position}: ${error.message}`), record: text, position };
+    }
+  };
+
+  for await (const chunk of chunks) {
+    let start = 0;
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (depth === 0) {
+        if (char === '[' && !closed) {
+          depth = 1;
+          start = i + 1;
+        } else if (!/\s/.test(char)) {
+          throw new Error('Expected a JSON array of records');
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '[' || char === '{') {
+        depth++;
+      } else if (char === ']' || char === '}') {
+        depth--;
+      }
+
+      if ((char === ',' && depth === 1) || depth === 0) {
+        item += chunk.slice(start, i);
+        start = i + 1;
+        if (item.trim() !== '' || char === ',') {
+          yield parseItem(item);
+        }
+        item = '';
+        closed = depth === 0;
+      }
+    }
+    if (depth > 0) {
+      item += chunk.slice(start);
+    }
+  }
+
+  if (!closed) {
+    throw new Error('Unexpected end of JSON array');
+  }
+}
+
+// Yields the rows of a CSV document as arrays of cells. Quoted cells can
+// hold delimiters, line breaks and doubled quotes.
+async function* parseCsvRows(chunks, delimiter) {
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let quoteClosed = false;
+  let afterCarriageReturn = false;
+
+  const endRow = () => {
+    row.push(cell);
+    const completed = row;
+    row = [];
+    cell = '';
+    return completed;
+  };
+
+  for await (const chunk of chunks) {
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+      const skipNewline = afterCarriageReturn;
+      afterCarriageReturn = false;
+
+      if (quoted) {
+        if (char === '"') {
+          quoted = false;
+          quoteClosed = true;
+        } else {
+          cell += char;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        // A doubled quote inside a quoted cell is a literal quote
+        if (quoteClosed) cell += '"';
+        quoted = true;
+        quoteClosed = false;
+        continue;
+      }
+      quoteClosed = false;
+
+      if (char === '\n' && skipNewline) continue;
+
+      if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        afterCarriageReturn = char === '\r';
+        yield endRow();
+      } else {
+        cell += char;
+      }
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unexpected end of CSV: unterminated quoted cell');
+  }
+  if (cell !== '' || row.length > 0) {
+    yield endRow();
+  }
+}
+
+async function* parseCsv(chunks, delimiter) {
+  let columns = null;
+  let position = 0;
+
+  for await (const cells of parseCsvRows(chunks, delimiter)) {
+    if (!columns) {
+      // Column names become paths, and files may come from anywhere
+      cells.forEach(assertSafePath);
+      columns = cells;
+      continue;
+    }
+    if (cells.length === 1 && cells[0] === '') continue;
+
+    position++;
+    if (cells.length > columns.length) {
+      yield {
+        error: new Error(`Row ${position} has ${cells.length} cells, but there are ${columns.length} columns`),
+        record: cells,
+        position
+      };
+      continue;
+    }
+
+    // Dot-notation column names become nested fields; empty cells are left out
+    const record = {};
+    cells.forEach((cell, i) => {
+      if (cell !== '') {
+        setPath(record, columns[i], parseCsvValue(cell));
+      }
+    });
+    yield { record, position };
+  }
+}
+
+// Mapping paths, like CSV column names, must not reach Object.prototype
+function checkMapping(mapping) {
+  if (typeof mapping === 'function') return;
+  for (const [source, target] of Object.entries(mapping)) {
+    assertSafePath(source);
+    if (target) assertSafePath(target);
+  }
+}
+
+// `mapping` maps source paths to target paths, where a falsy target drops
+// the field, or is a function from record to record (null to skip it)
+function mapRecord(record, mapping) {
+  if (typeof mapping === 'function') return mapping(record);
+
+  const values = Object.keys(mapping).map(source => [source, getPath(record, source)]);
+  for (const [source] of values) {
+    unsetPath(record, source);
+  }
+  for (const [source, value] of values) {
+    if (mapping[source] && value !== undefined) {
+      setPath(record, mapping[source], value);
+    }
+  }
+  return record;
+}
+
+// Yields each record with its 1-based position; rows that can't be parsed
+// come with an error and their raw content instead
+function readRecords(source, { format, delimiter = ',' }) {
+  const chunks = readText(source);
+  if (format === 'csv') return parseCsv(chunks, delimiter);
+  if (format === 'json') return parseJsonArray(chunks);
+  return parseNdjson(chunks);
+}
+
+module.exports = {
+  FORMATS,
+  resolveFormat,
+  flattenRecord,
+  checkMapping,
+  mapRecord,
+  writeRecords,
+  readRecords
+};
\ No newline at end of file
@@ -0,0 +1,202 @@
+const { assertSafePath, getPath, setPath, unsetPath } = require('./path');
+const { compileElementMatch, deepEqual } = require('./query');
+
+const OPERATORS = {
+  $set(record, path, value) {
+    setPath(record, path, clone(value));
+  },
+
+  $unset(record, path) {
+    unsetPath(record, path);
+  },
+
+  $inc(record, path, amount) {
+    setPath(record, path, numericField(record, path, '$inc') + assertNumber(amount, '$inc'));
+  },
+
+  $mul(record, path, factor) {
+    setPath(record, path, numericField(record, path, '$mul') * assertNumber(factor, '$mul'));
+  },
+
+  $min(record, path, value) {
+    const current = getPath(record, path);
+    if (current === undefined || value < current) {
+      setPath(record, path, clone(value));
+    }
+  },
+
+  $max(record, path, value) {
+    const current = getPath(record, path);
+    if (current === undefined || value > current) {
+      setPath(record, path, clone(value));
+    }
+  },
+
+  $rename(record, path, newPath) {
+    const value = getPath(record, path);
+    if (value === undefined) return;
+    unsetPath(record, path);
+    setPath(record, newPath, value);
+  },
+
+  $push(record, path, value) {
+    const array = arrayField(record, path, '$push');
+    const modifiers = isEachModifier(value) ? value : { $each: [value] };
+    const items = modifiers.$each.map(clone);
+
+    if (modifiers.$position !== undefined) {
+      array.splice(modifiers.$position, 0, ...items);
+    } else {
+      array.push(...items);
+    }
+
+    if (modifiers.$sort !== undefined) {
+      array.sort(sortComparator(modifiers.$sort));
+    }
+
+    if (modifiers.$slice !== undefined) {
+      const sliced = modifiers.$slice < 0 ? array.slice(modifiers.$slice) : array.slice(0, modifiers.$slice);
+      array.length = 0;
+      array.push(...sliced);
+    }
+  },
+
+  $addToSet(record, path, value) {
+    const array = arrayField(record, path, '$addToSet');
+    const items = isEachModifier(value) ? value.$each : [value];
+
+    for (const item of items) {
+      if (!array.some(existing => deepEqual(existing, item))) {
+        array.push(clone(item));
+      }
+    }
+  },
+
+  $pull(record, path, condition) {
+    const array = getPath(record, path);
+    if (array === undefined) return;
+    if (!Array.isArray(array)) {
+      throw new Error(`Cannot apply $pull to non-array field '${path}'`);
+    }
+
+    const matches = compileElementMatch(condition);
+    setPath(record, path, array.filter(item => !matches(item)));
+  },
+
+  $pop(record, path, direction) {
+    const array = getPath(record, path);
+    if (array === undefined) return;
+    if (!Array.isArray(array)) {
+      throw new Error(`Cannot apply $pop to non-array field '${path}'`);
+    }
+
+    if (direction === -1) {
+      array.shift();
+    } else {
+      array.pop();
+    }
+  },
+
+  $currentDate(record, path, spec) {
+    const type = spec && typeof spec === 'object' ? spec.$type : 'date';
+    setPath(record, path, type === 'timestamp' ? Date.now() : new Date().toISOString());
+  }
+};
+
+function hasOperators(updates) {
+  return Object.keys(updates).some(key => key.startsWith('$'));
+}
+
+// Plain objects are shallow-merged; operator documents ($set, $inc, ...) are
+// applied to a deep copy. The record itself is never mutated, so it can
+// still be used to remove stale index entries.
+function applyUpdate(record, updates) {
+  if (!hasOperators(updates)) {
+    return { ...record, ...updates };
+  }
+
+  const keys = Object.keys(updates);
+  if (keys.some(key => !key.startsWith('$'))) {
+    throw new Error('Cannot mix update operators with plain fields');
+  }
+
+  // Paths are checked before anything is applied; $rename also writes to
+  // its target
+  for (const operator of keys) {
+    for (const [path, value] of Object.entries(updates[operator] || {})) {
+      assertSafePath(path);
+      if (operator === '$rename') assertSafePath(value);
+    }
+  }
+
+  const updated = clone(record);
+  for (const operator of keys) {
+    const apply = OPERATORS[operator];
+    if (!apply) {
+      throw new Error(`Unknown update operator: ${operator}`);
+    }
+
+    for (const [path, value] of Object.entries(updates[operator])) {
+      apply(updated, path, value);
+    }
+  }
+
+  return updated;
+}
+
+function numericField(record, path, operator) {
+  const current = getPath(record, path);
+  if (current === undefined) return 0;
+  return assertNumber(current, operator, path);
+}
+
+function assertNumber(value, operator, path) {
+  if (typeof value !== 'number') {
+    throw new Error(path ?
+      `Cannot apply ${operator} to non-numeric field '${path}'` :
+      `${operator} requires a numeric argument`);
+  }
+  return value;
+}
+
+function arrayField(record, path, operator) {
+  const current = getPath(record, path);
+  if (current === undefined) {
+    setPath(record, path, []);
+    return getPath(record, path);
+  }
+  if (!Array.isArray(current)) {
+    throw new Error(`Cannot apply ${operator} to non-array field '${path}'`);
+  }
+  return current;
+}
+
+function isEachModifier(value) {
+  return value !== null && typeof value === 'object' && Array.isArray(value.$each);
+}
+
+function sortComparator(spec) {
+  const compare = (a, b) => (a === b ? 0 : a < b ? -1 : 1);
+
+  if (typeof spec === 'number') {
+    return (a, b) => compare(a, b) * spec;
+  }
+
+  const fields = Object.entries(spec);
+  return (a, b) => {
+    for (const [field, direction] of fields) {
+      const result = compare(getPath(a, field), getPath(b, field));
+      if (result !== 0) return result * direction;
+    }
+    return 0;
+  };
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  applyUpdate,
+  hasOperators
+};
\ No newline at end of file